@@ -0,0 +1,127 @@
+// Authentification et rôles de l'API
+// Deux modes, configurés par variables d'environnement :
+//   API_KEYS   : clés d'API, envoyées dans l'en-tête X-API-Key
+//                "cle:utilisateur:role,cle2:utilisateur2:role2"
+//   JWT_SECRET : secret des jetons JWT (HS256), envoyés dans l'en-tête
+//                Authorization: Bearer <jeton> ; claims `sub` (utilisateur),
+//                `role` et, facultatif, `exp`
+// Rôles cumulatifs : viewer (lecture), planner (+ calcul et enregistrement
+// des scénarios), admin (+ écriture de l'inventaire et ré-indexation).
+// Sans clé ni secret configuré, toutes les requêtes sont refusées.
+
+import crypto from "crypto";
+
+// Rôles, du moins au plus privilégié
+export const ROLES = ["viewer", "planner", "admin"];
+
+export const API_KEY_HEADER = "X-API-Key";
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Clés d'API de la variable API_KEYS, indexées par empreinte SHA-256.
+ * Lève une erreur si une entrée est mal formée ou si le rôle est inconnu.
+ */
+export function parseApiKeys(value = "") {
+  const keys = new Map();
+  for (const entry of value.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [key, user, role] = entry.split(":").map((part) => part.trim());
+    if (!key || !user || !ROLES.includes(role)) {
+      throw new Error(
+        `Entrée API_KEYS invalide (attendu cle:utilisateur:role, rôles : ${ROLES.join(", ")})`,
+      );
+    }
+    keys.set(hash(key).toString("hex"), { name: user, role });
+  }
+  return keys;
+}
+
+function base64UrlDecode(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf-8"));
+}
+
+/**
+ * Vérifie un jeton JWT signé en HS256 et retourne ses claims, ou null si la
+ * signature, l'algorithme ou les dates (exp, nbf) ne sont pas valides.
+ */
+export function verifyJwt(token, secret, now = Date.now()) {
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  try {
+    const header = base64UrlDecode(parts[0]);
+    if (header.alg !== "HS256") return null;
+
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${parts[0]}.${parts[1]}`)
+      .digest();
+    const signature = Buffer.from(parts[2], "base64url");
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return null;
+    }
+
+    const claims = base64UrlDecode(parts[1]);
+    const seconds = now / 1000;
+    if (typeof claims.exp === "number" && seconds >= claims.exp) return null;
+    if (typeof claims.nbf === "number" && seconds < claims.nbf) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Middlewares Express d'authentification :
+ *   authenticate       : identifie l'appelant (req.user = { name, role }),
+ *                        401 si aucun identifiant valide
+ *   requireRole(role)  : 403 si le rôle de l'appelant est insuffisant
+ */
+export function createAuth({ apiKeys = new Map(), jwtSecret = null } = {}) {
+  function identify(req) {
+    const apiKey = req.get(API_KEY_HEADER);
+    if (apiKey) {
+      return apiKeys.get(hash(apiKey).toString("hex")) ?? null;
+    }
+
+    const [scheme, token] = (req.get("Authorization") ?? "").split(" ");
+    if (scheme === "Bearer" && token && jwtSecret) {
+      const claims = verifyJwt(token, jwtSecret);
+      if (claims && typeof claims.sub === "string" && ROLES.includes(claims.role)) {
+        return { name: claims.sub, role: claims.role };
+      }
+    }
+    return null;
+  }
+
+  function authenticate(req, res, next) {
+    const user = identify(req);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentification requise",
+        message: `Fournir une clé d'API (en-tête ${API_KEY_HEADER}) ou un jeton (Authorization: Bearer)`,
+      });
+    }
+    req.user = user;
+    next();
+  }
+
+  function requireRole(role) {
+    const minimum = ROLES.indexOf(role);
+    return (req, res, next) => {
+      if (ROLES.indexOf(req.user?.role) < minimum) {
+        return res.status(403).json({
+          success: false,
+          error: "Accès refusé",
+          message: `Rôle ${role} requis (rôle actuel : ${req.user?.role ?? "aucun"})`,
+        });
+      }
+      next();
+    };
+  }
+
+  return { authenticate, requireRole };
+}
@@ -0,0 +1,87 @@
+// Index plein texte BM25 des chunks
+// Les versions ("6.1.3", "5.2.3.1") restent des jetons entiers : elles ne
+// sont pas découpées sur les points comme le reste de la ponctuation.
+
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+
+const TOKEN = /\d+(?:\.\d+)+|[\p{L}\p{N}]+/gu;
+
+// Mots vides (anglais des release notes, français des questions)
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "if", "in",
+  "is", "it", "of", "on", "or", "that", "the", "this", "to", "was", "when",
+  "which", "with", "au", "aux", "ce", "ces", "dans", "de", "des", "du", "en",
+  "est", "et", "la", "le", "les", "ou", "par", "pour", "qu", "que", "qui",
+  "sur", "un", "une",
+]);
+
+/**
+ * Découpe un texte en jetons normalisés (minuscules, sans mots vides).
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(TOKEN) || []).filter((t) => !STOPWORDS.has(t));
+}
+
+/**
+ * Termes à rechercher à l'identique : versions et identifiants d'issues,
+ * que les embeddings distinguent mal ("6.1.3" et "6.1.2" sont très proches).
+ */
+export function extractExactTerms(query) {
+  return {
+    versions: [...new Set(query.match(/\b\d+\.\d+(?:\.\d+){0,2}\b/g) || [])],
+    issueIds: [...new Set(query.match(/\b\d{5,6}\b/g) || [])],
+  };
+}
+
+/**
+ * Construit l'index : fréquence des termes par document et nombre de
+ * documents contenant chaque terme.
+ */
+export function buildBm25Index(documents) {
+  const df = new Map();
+  const entries = documents.map(({ key, text }) => {
+    const tokens = tokenize(text);
+    const tf = new Map();
+    for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1);
+    for (const token of tf.keys()) df.set(token, (df.get(token) || 0) + 1);
+    return { key, length: tokens.length, tf };
+  });
+
+  const totalLength = entries.reduce((sum, e) => sum + e.length, 0);
+  return {
+    documents: entries,
+    df,
+    avgLength: entries.length ? totalLength / entries.length : 0,
+  };
+}
+
+/**
+ * Scores BM25 des documents pour une requête, par ordre décroissant
+ * (documents sans aucun terme de la requête exclus).
+ */
+export function scoreBm25(index, query, { k1 = BM25_K1, b = BM25_B } = {}) {
+  const terms = [...new Set(tokenize(query))].filter((t) => index.df.has(t));
+  const n = index.documents.length;
+
+  const idf = new Map(
+    terms.map((t) => {
+      const df = index.df.get(t);
+      return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+    }),
+  );
+
+  const results = [];
+  for (const doc of index.documents) {
+    let score = 0;
+    for (const term of terms) {
+      const tf = doc.tf.get(term);
+      if (!tf) continue;
+      const norm = k1 * (1 - b + (b * doc.length) / index.avgLength);
+      score += idf.get(term) * ((tf * (k1 + 1)) / (tf + norm));
+    }
+    if (score > 0) results.push({ key: doc.key, score });
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
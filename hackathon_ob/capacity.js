@@ -0,0 +1,125 @@
+// Modèle de capacité multidimensionnel
+// Un Edge peut saturer sur les tunnels ou les flux concurrents alors que son
+// débit reste faible : l'utilisation est donc calculée sur chaque dimension.
+
+// Utilisation (en %) au-delà de laquelle un host est considéré surchargé.
+// Les ports ne sont en surcharge qu'au-delà de 100 % (tous utilisés = normal).
+export const OVERLOAD_THRESHOLD = 90;
+
+// Dimensions de capacité : champ mesuré du host -> spécification du modèle.
+// Les ports sont comptés par type de média.
+export const DIMENSIONS = [
+  { key: "throughput", spec: "maxThroughput", label: "Débit IMIX" },
+  { key: "tunnels", spec: "maxTunnels", label: "Tunnels" },
+  { key: "flowsPerSecond", spec: "maxFlowsPerSecond", label: "Flux/s" },
+  { key: "flows", spec: "maxFlows", label: "Flux concurrents" },
+  { key: "natEntries", spec: "maxNatEntries", label: "Entrées NAT" },
+  { key: "rj45", spec: "ports.rj45", label: "Ports RJ45", isPort: true },
+  { key: "sfp", spec: "ports.sfp", label: "Ports SFP", isPort: true },
+];
+
+/**
+ * Valeur mesurée d'une dimension pour un host (null si inconnue).
+ */
+export function getMeasured(host, dimension) {
+  const value = dimension.isPort
+    ? host.ports?.[dimension.key]
+    : host[dimension.key];
+  return typeof value === "number" ? value : null;
+}
+
+/**
+ * Capacité d'un modèle sur une dimension (null si non spécifiée).
+ */
+export function getCapacity(model, dimension) {
+  const value = dimension.spec
+    .split(".")
+    .reduce((object, key) => object?.[key], model?.specifications);
+  return typeof value === "number" ? value : null;
+}
+
+/**
+ * Utilisation d'un host sur son modèle : pourcentage par dimension et
+ * contrainte dimensionnante (dimension la plus chargée).
+ */
+export function computeUtilization(host, model) {
+  const percentages = {};
+  let bindingConstraint = null;
+  let maxPercentage = null;
+  let overloaded = false;
+
+  for (const dimension of DIMENSIONS) {
+    const measured = getMeasured(host, dimension);
+    const capacity = getCapacity(model, dimension);
+
+    if (measured === null || !capacity) {
+      percentages[dimension.key] = null;
+      continue;
+    }
+
+    const percentage = Math.round((measured / capacity) * 1000) / 10;
+    percentages[dimension.key] = percentage;
+    if (percentage > (dimension.isPort ? 100 : OVERLOAD_THRESHOLD)) {
+      overloaded = true;
+    }
+
+    if (maxPercentage === null || percentage > maxPercentage) {
+      maxPercentage = percentage;
+      bindingConstraint = dimension.key;
+    }
+  }
+
+  return {
+    percentages,
+    bindingConstraint,
+    maxPercentage,
+    overloaded,
+  };
+}
+
+/**
+ * Statistiques d'utilisation d'un ensemble de hosts : moyenne et maximum par
+ * dimension, répartition des contraintes dimensionnantes, hosts surchargés.
+ */
+export function summarizeUtilization(hosts, models) {
+  const modelsByName = new Map(models.map((m) => [m.model, m]));
+  const values = Object.fromEntries(DIMENSIONS.map((d) => [d.key, []]));
+  const byBindingConstraint = {};
+  let overloaded = 0;
+  let evaluated = 0;
+
+  for (const host of hosts) {
+    const utilization = computeUtilization(host, modelsByName.get(host.model));
+    if (utilization.bindingConstraint === null) continue;
+
+    evaluated++;
+    if (utilization.overloaded) overloaded++;
+    byBindingConstraint[utilization.bindingConstraint] =
+      (byBindingConstraint[utilization.bindingConstraint] || 0) + 1;
+
+    for (const [key, percentage] of Object.entries(utilization.percentages)) {
+      if (percentage !== null) values[key].push(percentage);
+    }
+  }
+
+  const dimensions = {};
+  for (const dimension of DIMENSIONS) {
+    const list = values[dimension.key];
+    dimensions[dimension.key] = {
+      label: dimension.label,
+      hosts: list.length,
+      avgPercentage: list.length
+        ? Math.round((list.reduce((a, b) => a + b, 0) / list.length) * 10) / 10
+        : null,
+      maxPercentage: list.length ? Math.max(...list) : null,
+    };
+  }
+
+  return {
+    evaluated,
+    overloaded,
+    overloadThreshold: OVERLOAD_THRESHOLD,
+    byBindingConstraint,
+    dimensions,
+  };
+}
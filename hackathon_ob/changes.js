@@ -0,0 +1,117 @@
+// Historique des modifications de l'inventaire
+// Chaque écriture d'un host ou d'un modèle (API ou import) est enregistrée
+// dans la collection "changes" : documents avant et après, champs modifiés,
+// auteur et date. L'état de l'inventaire à une date passée est reconstruit
+// en annulant, du plus récent au plus ancien, les changements postérieurs.
+
+import { isDeepStrictEqual } from "util";
+
+export const CHANGES_COLLECTION = "changes";
+
+// Champs techniques ignorés dans la comparaison
+const TECHNICAL_FIELDS = ["updatedAt", "importedAt"];
+
+// Copie d'un document sans son _id (null si absent)
+function withoutId(document) {
+  if (!document) return null;
+  const { _id, ...rest } = document;
+  return rest;
+}
+
+/**
+ * Champs de premier niveau qui diffèrent entre deux versions d'un document
+ * (hors _id et dates techniques), triés par nom.
+ */
+export function diffFields(before, after) {
+  const a = withoutId(before) ?? {};
+  const b = withoutId(after) ?? {};
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((field) => !TECHNICAL_FIELDS.includes(field))
+    .filter((field) => !isDeepStrictEqual(a[field], b[field]))
+    .sort();
+}
+
+/**
+ * Document de la collection "changes" pour l'écriture d'un document
+ * identifié par `key` (nom d'hôte, nom de modèle) : before null pour une
+ * création, after null pour une suppression. null si rien n'a changé.
+ */
+export function buildChange({ collection, key, before, after, user, changedAt = new Date() }) {
+  const fields = diffFields(before, after);
+  if (before && after && fields.length === 0) return null;
+
+  return {
+    collection,
+    key,
+    operation: !before ? "create" : !after ? "delete" : "update",
+    fields,
+    before: withoutId(before),
+    after: withoutId(after),
+    user,
+    changedAt,
+  };
+}
+
+/**
+ * Enregistre les changements (les null sont ignorés) et retourne leur nombre.
+ */
+export async function recordChanges(db, changes) {
+  const documents = changes.filter(Boolean);
+  if (documents.length > 0) {
+    await db.collection(CHANGES_COLLECTION).insertMany(documents);
+  }
+  return documents.length;
+}
+
+export async function ensureChangeIndexes(db) {
+  await db.collection(CHANGES_COLLECTION).createIndex({ collection: 1, key: 1, changedAt: -1 });
+  await db.collection(CHANGES_COLLECTION).createIndex({ collection: 1, changedAt: 1 });
+}
+
+// Du plus récent au plus ancien (l'_id départage les changements simultanés)
+function newestFirst(a, b) {
+  return b.changedAt - a.changedAt || String(b._id).localeCompare(String(a._id));
+}
+
+/**
+ * Annule des changements sur l'état actuel d'une collection : pour chaque
+ * changement, du plus récent au plus ancien, le document `before` est
+ * restauré (ou retiré s'il n'existait pas).
+ */
+export function rewindDocuments(documents, changes, keyField) {
+  const byKey = new Map(documents.map((document) => [document[keyField], document]));
+  for (const change of [...changes].sort(newestFirst)) {
+    if (change.before) {
+      byKey.set(change.key, change.before);
+    } else {
+      byKey.delete(change.key);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Documents d'une collection (hosts, models) tels qu'ils étaient à la date
+ * `asOf`.
+ */
+export async function findDocumentsAsOf(db, collection, keyField, asOf) {
+  const [documents, changes] = await Promise.all([
+    db.collection(collection).find().toArray(),
+    db
+      .collection(CHANGES_COLLECTION)
+      .find({ collection, changedAt: { $gt: asOf } })
+      .toArray(),
+  ]);
+  return rewindDocuments(documents, changes, keyField);
+}
+
+/**
+ * Historique d'un document, du changement le plus récent au plus ancien.
+ */
+export async function findHistory(db, collection, key) {
+  return db
+    .collection(CHANGES_COLLECTION)
+    .find({ collection, key })
+    .sort({ changedAt: -1, _id: -1 })
+    .toArray();
+}
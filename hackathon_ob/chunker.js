@@ -0,0 +1,405 @@
+// Découpage des documents en chunks selon leur structure
+// Les release notes sont découpées par section (New Features, Resolved
+// Issues, Known Issues, Upgrade Notes...) et par entrée "Fixed Issue 12345:" ;
+// en-têtes/pieds de page et menus des pages web exportées sont supprimés.
+
+export const DEFAULT_CHUNK_SIZE = 1000; // caractères
+export const DEFAULT_CHUNK_OVERLAP = 150; // caractères repris du chunk précédent
+
+// Titres de section reconnus (espaces multiples tolérés). Le groupe capturé
+// éventuel est le composant concerné (Edge/Gateway, Orchestrator).
+const SECTION_HEADINGS = [
+  { section: "New Features", pattern: "New Features(?: and Enhancements)?|What's New" },
+  { section: "Resolved Issues", pattern: "(?:(Edge/Gateway|Orchestrator|Gateway|Edge) )?Resolved Issues" },
+  { section: "Known Issues", pattern: "(?:(Edge/Gateway|Orchestrator|Gateway|Edge) )?Known Issues" },
+  { section: "Upgrade Notes", pattern: "Upgrade Notes|Upgrade Paths for Orchestrator, Gateway, and Edge" },
+  { section: "Compatibility", pattern: "Compatibility" },
+  { section: "Revision History", pattern: "Document Revision History" },
+].map((heading) => ({
+  ...heading,
+  regex: new RegExp(heading.pattern.replace(/ /g, "\\s+"), "g"),
+}));
+
+// Début d'une entrée d'issue : "Fixed Issue 162396:", "Open Issue 167780:",
+// "Issue #151806:"
+const ISSUE_ENTRY = /(?:(Fixed|Open)\s+)?Issue\s+#?(\d{5,6}):/g;
+
+const ENTRY_SECTIONS = { Fixed: "Resolved Issues", Open: "Known Issues" };
+
+// Titres enchaînés en début de ligne devant une entrée d'issue, comme dans
+// le texte aplati de certains PDF : "Known Issues Orchestrator Known Issues
+// Issue 41691: ..."
+const LEADING_HEADINGS = new RegExp(
+  `^(?:(?:${SECTION_HEADINGS.map((h) => h.regex.source).join("|")})[ \\t]+)+(?=${ISSUE_ENTRY.source})`,
+  "gm",
+);
+
+// Références d'issues dans un texte : "Issue 12345", "issues #133199 and #134911"
+const ISSUE_REFERENCE = /\bIssues?\s+((?:#?\d{5,6}(?:\s*,\s*|\s+and\s+|\s*&\s*)?)+)/gi;
+
+// Marqueurs de page : numéro seul, numérotation romaine, "3 sur 9" (suivi de
+// la date d'impression des pages web exportées en PDF)
+const PAGE_MARKERS = [/^\d{1,4}$/, /^[ivx]{1,6}$/i, /^\d+ sur \d+/];
+
+// Menus, pieds de page et liens des pages web de la communauté Arista
+const BOILERPLATE = [
+  /^VELOCLOUD\(\/ARISTACOMMUNITY/i,
+  /^\/AristaCommunity\/s\//i,
+  /^Get In Touch Today/i,
+  /^Support & Services/i,
+  /(\(\/AristaCommunity\/s\/article\/[^)]*\).*){2}/i,
+  /©\s*Copyright/i,
+];
+
+const LINK = /\s*\((?:https?:\/\/|\/AristaCommunity\/)[^)]*\)/g;
+
+function isPageMarker(line) {
+  return PAGE_MARKERS.some((pattern) => pattern.test(line));
+}
+
+/**
+ * Version d'un document de release notes, d'après son titre ("SD-WAN 6.4.1
+ * Release Notes") ou à défaut le nom du fichier. null sinon.
+ * Le titre prime : un fichier peut être mal nommé (VC-SD-WAN-5.4.0-Release-Notes
+ * contient les release notes 6.4.0).
+ */
+export function getDocumentVersion(filename, text = "") {
+  const match =
+    text.match(/SD-WAN\s+(\d+\.\d+(?:\.\d+)*)\s+Release\s+Notes/i) ||
+    filename.match(/SD-WAN-(\d+\.\d+(?:\.\d+)*)-Release-Notes/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Identifiants d'issues cités dans un texte (sans doublons, dans l'ordre).
+ */
+export function extractIssueIds(text) {
+  const ids = [];
+  for (const match of text.matchAll(ISSUE_REFERENCE)) {
+    for (const [id] of match[1].matchAll(/\d{5,6}/g)) {
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Supprime en-têtes et pieds de page : marqueurs de page et lignes répétées
+ * qui les jouxtent (titre du document, URL de la page web...), numéro de
+ * page éventuel compris ("| ... Release Notes | 9").
+ * Les limites des sections (pages d'un PDF) comptent comme des marqueurs.
+ */
+function removePageFurniture(pages) {
+  const key = (line) => line.replace(/\d+/g, "#");
+  const adjacent = (lines, i) =>
+    i === 0 ||
+    i === lines.length - 1 ||
+    isPageMarker(lines[i - 1]) ||
+    isPageMarker(lines[i + 1] ?? "");
+
+  const counts = new Map();
+  for (const lines of pages) {
+    lines.forEach((line, i) => {
+      if (!isPageMarker(line) && adjacent(lines, i)) {
+        counts.set(key(line), (counts.get(key(line)) || 0) + 1);
+      }
+    });
+  }
+
+  return pages.map((lines) =>
+    lines.filter(
+      (line, i) =>
+        !isPageMarker(line) && !(counts.get(key(line)) >= 2 && adjacent(lines, i)),
+    ),
+  );
+}
+
+// Lignes utiles d'une section : espaces normalisés, menus et liens retirés
+function cleanLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter((line) => line.length > 0 && !BOILERPLATE.some((p) => p.test(line)))
+    .map((line) => line.replace(LINK, "").trim())
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Titres et débuts d'entrées d'issues d'un texte, dans l'ordre.
+ * Un titre doit occuper toute sa ligne, suivre une fin de phrase ou ouvrir
+ * une ligne qui se poursuit par une entrée d'issue : les mentions ("listed
+ * in the Known Issues section") et les entrées de la table des matières
+ * ("• Known Issues") sont ignorées.
+ */
+function findMarkers(text) {
+  const markers = [];
+  const leading = [...text.matchAll(LEADING_HEADINGS)].map((m) => ({
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+
+  for (const heading of SECTION_HEADINGS) {
+    for (const match of text.matchAll(heading.regex)) {
+      const before = text.slice(0, match.index);
+      const after = text.slice(match.index + match[0].length);
+      const ownLine =
+        !match[0].includes("\n") && /(^|\n)$/.test(before) && /^[ \t]*(\n|$)/.test(after);
+      const afterSentence = /[.:!?]\s+$/.test(before);
+      const beforeEntry = leading.some((l) => match.index >= l.start && match.index < l.end);
+
+      if (ownLine || afterSentence || beforeEntry) {
+        markers.push({
+          type: "heading",
+          index: match.index,
+          end: match.index + match[0].length,
+          section: heading.section,
+          component: match[1] ?? null,
+        });
+      }
+    }
+  }
+
+  for (const match of text.matchAll(ISSUE_ENTRY)) {
+    markers.push({
+      type: "issue",
+      index: match.index,
+      end: match.index,
+      status: match[1] ?? null,
+      issueId: match[2],
+    });
+  }
+
+  // Un titre peut en contenir un autre ("Edge/Gateway Known Issues" et
+  // "Known Issues") : on garde le plus long
+  markers.sort((a, b) => a.index - b.index || b.end - a.end);
+
+  const kept = [];
+  for (const marker of markers) {
+    const last = kept[kept.length - 1];
+    if (!last || marker.index >= last.end) kept.push(marker);
+  }
+  return kept;
+}
+
+/**
+ * Découpe le document en blocs homogènes (même section) : paragraphes entre
+ * deux titres, ou entrée d'issue complète. Le texte d'une page qui précède
+ * le premier titre prolonge le bloc de la page précédente.
+ */
+function buildBlocks(sections) {
+  const pages = removePageFurniture(sections.map((s) => cleanLines(s.text)));
+  const blocks = [];
+  let state = { section: null, component: null };
+
+  const append = (position, text, block) => {
+    if (text.trim().length === 0 && !block) return;
+    if (block) {
+      blocks.push({ ...block, parts: [] });
+    }
+    if (blocks.length === 0) {
+      blocks.push({ kind: "text", ...state, issueId: null, parts: [] });
+    }
+    if (text.trim().length > 0) {
+      blocks[blocks.length - 1].parts.push({ ...position, text });
+    }
+  };
+
+  sections.forEach((section, i) => {
+    const text = pages[i].join("\n");
+    const position = { page: section.page, slide: section.slide };
+    let cursor = 0;
+
+    for (const marker of findMarkers(text)) {
+      append(position, text.slice(cursor, marker.index));
+
+      if (marker.type === "heading") {
+        state = { section: marker.section, component: marker.component };
+        append(position, "", { kind: "text", ...state, issueId: null });
+      } else {
+        // Hors de sa section, une entrée "Fixed Issue" est une issue résolue
+        // et une entrée "Open Issue" une issue connue
+        const implied = ENTRY_SECTIONS[marker.status];
+        const sectionName =
+          implied && state.section !== implied && state.section !== "Revision History"
+            ? implied
+            : state.section;
+        append(position, "", {
+          kind: "issue",
+          section: sectionName,
+          component: state.component,
+          issueId: marker.issueId,
+        });
+      }
+      cursor = marker.end;
+    }
+
+    append(position, text.slice(cursor));
+  });
+
+  return blocks.filter((block) => block.parts.length > 0);
+}
+
+/**
+ * Blocs structurels d'un document { kind, section, component, issueId, text,
+ * page, slide } : paragraphes d'une section ou entrées d'issues, dans l'ordre.
+ */
+export function getDocumentBlocks(sections) {
+  return buildBlocks(sections).map((block) => ({
+    kind: block.kind,
+    section: block.section,
+    component: block.component,
+    issueId: block.issueId,
+    text: block.parts.map((p) => p.text).join("\n"),
+    page: block.parts[0].page,
+    slide: block.parts[0].slide,
+  }));
+}
+
+// Phrases d'un texte, avec leur position (page, diapositive). Une phrase se
+// termine par . ! ou ? suivi d'un espace : "6.4.1" n'est pas coupé.
+function splitSentences(parts, chunkSize) {
+  const sentences = [];
+
+  for (const part of parts) {
+    const text = part.text.replace(/\s+/g, " ").trim();
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+      if (sentence.length <= chunkSize) {
+        sentences.push({ ...part, text: sentence });
+        continue;
+      }
+      // Phrase trop longue (tableau, liste sans ponctuation) : coupe aux mots
+      let piece = "";
+      for (const word of sentence.split(" ")) {
+        if (piece && piece.length + word.length + 1 > chunkSize) {
+          sentences.push({ ...part, text: piece });
+          piece = word;
+        } else {
+          piece = piece ? `${piece} ${word}` : word;
+        }
+      }
+      if (piece) sentences.push({ ...part, text: piece });
+    }
+  }
+
+  return sentences.filter((s) => s.text.length > 0);
+}
+
+// Regroupe les phrases en morceaux d'au plus chunkSize caractères ; chaque
+// morceau reprend les dernières phrases du précédent (jusqu'à overlap car.)
+function packSentences(sentences, chunkSize, overlap) {
+  const pieces = [];
+  let current = [];
+  let length = 0;
+
+  for (const sentence of sentences) {
+    if (current.length > 0 && length + sentence.text.length + 1 > chunkSize) {
+      pieces.push(current);
+
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const size = current[i].text.length + 1;
+        if (carriedLength + size > overlap) break;
+        carried.unshift(current[i]);
+        carriedLength += size;
+      }
+      if (carriedLength + sentence.text.length + 1 > chunkSize) {
+        carried.length = 0;
+        carriedLength = 0;
+      }
+
+      current = carried;
+      length = carriedLength;
+    }
+
+    current.push(sentence);
+    length += sentence.text.length + 1;
+  }
+
+  if (current.length > 0) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Vérifie les paramètres de découpage (0 <= chevauchement < taille).
+ */
+export function validateChunking(chunkSize, overlap) {
+  if (!(chunkSize > 0) || !(overlap >= 0) || overlap >= chunkSize) {
+    throw new Error(
+      `Découpage invalide: taille ${chunkSize}, chevauchement ${overlap} (0 <= chevauchement < taille)`,
+    );
+  }
+}
+
+/**
+ * Découpe un document (liste de sections { page, slide, text }) en chunks
+ * { text, page, slide, section, component, version, issueIds }.
+ */
+export function chunkDocument(
+  sections,
+  { filename, chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP },
+) {
+  validateChunking(chunkSize, overlap);
+
+  const version = getDocumentVersion(
+    filename,
+    sections.map((s) => s.text).join("\n").slice(0, 5000),
+  );
+
+  // Les paragraphes consécutifs d'une même section sont découpés ensemble,
+  // chaque entrée d'issue séparément
+  const groups = [];
+  for (const block of buildBlocks(sections)) {
+    const last = groups[groups.length - 1];
+    if (
+      block.kind === "text" &&
+      last?.kind === "text" &&
+      last.section === block.section &&
+      last.component === block.component
+    ) {
+      last.parts.push(...block.parts);
+    } else {
+      groups.push({ ...block, parts: [...block.parts] });
+    }
+  }
+
+  const chunks = [];
+  for (const group of groups) {
+    const sentences = splitSentences(group.parts, chunkSize);
+
+    for (const piece of packSentences(sentences, chunkSize, overlap)) {
+      const text = piece.map((s) => s.text).join(" ");
+      const issueIds = extractIssueIds(text);
+      if (group.issueId && !issueIds.includes(group.issueId)) {
+        issueIds.unshift(group.issueId);
+      }
+
+      chunks.push({
+        text,
+        page: piece[0].page,
+        slide: piece[0].slide,
+        section: group.section,
+        component: group.component,
+        version,
+        issueIds,
+      });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Texte soumis au modèle d'embedding : le chunk précédé de son contexte
+ * (version et section), qui n'apparaît pas forcément dans le texte.
+ */
+export function getEmbeddingText(chunk) {
+  const context = [
+    chunk.version && `Release ${chunk.version}`,
+    chunk.component,
+    chunk.section,
+  ]
+    .filter(Boolean)
+    .join(" - ");
+  return context ? `${context}: ${chunk.text}` : chunk.text;
+}
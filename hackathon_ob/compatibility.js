@@ -0,0 +1,29 @@
+// Matrice de compatibilité matériel / logiciel
+// Chaque entrée de la collection compatibility indique, pour un modèle, le
+// train logiciel minimum et maximum supporté (null = pas de borne), et si
+// ces bornes sont une hypothèse (assumption) faute de document source.
+
+import { compareVersions, getTrain } from "./versions.js";
+
+/**
+ * Vérifie qu'une version est supportée par un modèle.
+ * Retourne { supported, reason, assumption } ; reason vaut "BELOW_MIN" ou
+ * "ABOVE_MAX" si la version sort de la plage du modèle, assumption indique
+ * que ce refus repose sur une borne supposée.
+ */
+export function checkCompatibility(entry, version) {
+  const train = getTrain(version);
+  if (!entry || !train) {
+    return { supported: true, reason: null, assumption: false };
+  }
+
+  const assumption = entry.assumption === true;
+  if (entry.minTrain && compareVersions(train, entry.minTrain) < 0) {
+    return { supported: false, reason: "BELOW_MIN", assumption };
+  }
+  if (entry.maxTrain && compareVersions(train, entry.maxTrain) > 0) {
+    return { supported: false, reason: "ABOVE_MAX", assumption };
+  }
+
+  return { supported: true, reason: null, assumption: false };
+}
@@ -0,0 +1,33 @@
+// Calcul des embeddings (indexation et requêtes)
+// process-documents.js et l'API utilisent ce même module : le modèle est
+// enregistré dans les métadonnées de l'index et vérifié avant chaque requête.
+// Le pipeline @xenova/transformers est chargé à la première utilisation pour
+// ne pas ralentir le démarrage de l'API.
+
+export const EMBEDDING_MODEL =
+  process.env.EMBEDDING_MODEL || "Xenova/all-MiniLM-L6-v2";
+
+const embedders = new Map();
+
+function getEmbedder(model) {
+  if (!embedders.has(model)) {
+    const embedder = import("@xenova/transformers")
+      .then(({ pipeline }) => pipeline("feature-extraction", model))
+      .catch((error) => {
+        embedders.delete(model);
+        throw error;
+      });
+    embedders.set(model, embedder);
+  }
+  return embedders.get(model);
+}
+
+/**
+ * Retourne l'embedding normalisé d'un texte.
+ */
+export async function embedText(text, model = EMBEDDING_MODEL) {
+  const embedder = await getEmbedder(model);
+  const output = await embedder(text, { pooling: "mean", normalize: true });
+  return Array.from(output.data);
+}
+
@@ -0,0 +1,159 @@
+// Export tabulaire (CSV, XLSX) des réponses de l'API
+// Le format est choisi par ?format=json|csv|xlsx ou, à défaut, par l'en-tête
+// Accept. Les colonnes sont fixes (même ordre quel que soit le contenu des
+// documents) et les lignes sont écrites au fil de l'eau depuis un tableau ou
+// un curseur MongoDB.
+
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import ExcelJS from "exceljs";
+
+const CONTENT_TYPES = {
+  json: "application/json",
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+export const EXPORT_FORMATS = Object.keys(CONTENT_TYPES);
+
+// Colonnes : en-tête et valeur extraite de chaque document
+export const HOST_COLUMNS = [
+  { header: "host", value: (h) => h.host },
+  { header: "name", value: (h) => h.name },
+  { header: "model", value: (h) => h.model },
+  { header: "type", value: (h) => h.type },
+  { header: "softwareVersion", value: (h) => h.softwareVersion },
+  { header: "release", value: (h) => h.release?.release },
+  { header: "releaseType", value: (h) => h.release?.releaseType },
+  { header: "releaseSupported", value: (h) => h.release?.supported },
+  { header: "lifecycleStatus", value: (h) => h.lifecycle?.status },
+  { header: "eosDate", value: (h) => h.lifecycle?.eosDate },
+  { header: "eolDate", value: (h) => h.lifecycle?.eolDate },
+  { header: "replacement", value: (h) => h.lifecycle?.replacement },
+  { header: "throughput", value: (h) => h.throughput },
+  { header: "tunnels", value: (h) => h.tunnels },
+  { header: "flowsPerSecond", value: (h) => h.flowsPerSecond },
+  { header: "flows", value: (h) => h.flows },
+  { header: "natEntries", value: (h) => h.natEntries },
+  { header: "rj45Ports", value: (h) => h.ports?.rj45 },
+  { header: "sfpPorts", value: (h) => h.ports?.sfp },
+  { header: "maxUtilization", value: (h) => h.utilizationMetrics?.maxPercentage },
+  { header: "bindingConstraint", value: (h) => h.utilizationMetrics?.bindingConstraint },
+  { header: "overloaded", value: (h) => h.utilizationMetrics?.overloaded },
+  { header: "targetModel", value: (h) => h.target?.model },
+  { header: "targetBandwidth", value: (h) => h.target?.bandwidth },
+  { header: "targetCause", value: (h) => h.targetCause },
+];
+
+export const MODEL_COLUMNS = [
+  { header: "model", value: (m) => m.model },
+  { header: "type", value: (m) => m.type },
+  { header: "status", value: (m) => m.status },
+  { header: "eosDate", value: (m) => m.eosDate },
+  { header: "eolDate", value: (m) => m.eolDate },
+  { header: "replacement", value: (m) => m.replacement },
+  { header: "alternatives", value: (m) => m.alternatives?.join(", ") },
+  { header: "maxThroughput", value: (m) => m.specifications?.maxThroughput },
+  { header: "maxTunnels", value: (m) => m.specifications?.maxTunnels },
+  { header: "maxFlowsPerSecond", value: (m) => m.specifications?.maxFlowsPerSecond },
+  { header: "maxFlows", value: (m) => m.specifications?.maxFlows },
+  { header: "maxNatEntries", value: (m) => m.specifications?.maxNatEntries },
+  { header: "rj45Ports", value: (m) => m.specifications?.ports?.rj45 },
+  { header: "sfpPorts", value: (m) => m.specifications?.ports?.sfp },
+  { header: "hostCount", value: (m) => m.hostCount },
+];
+
+export const SCENARIO_ACTION_COLUMNS = [
+  { header: "host", value: (a) => a.host },
+  { header: "model", value: (a) => a.model },
+  { header: "version", value: (a) => a.version },
+  { header: "utilization", value: (a) => a.utilization },
+  { header: "action", value: (a) => a.action },
+  { header: "target", value: (a) => a.target },
+  { header: "cost", value: (a) => a.cost },
+  { header: "isBlocker", value: (a) => a.isBlocker },
+  { header: "assumption", value: (a) => a.assumption },
+  { header: "upgradePath", value: (a) => a.upgradePath?.map((step) => step.version).join(" > ") },
+];
+
+/**
+ * Format demandé : paramètre `format`, sinon en-tête Accept (JSON par
+ * défaut). null si le paramètre `format` n'est pas un format connu.
+ */
+export function getExportFormat(req) {
+  const { format } = req.query;
+  if (format !== undefined) {
+    return EXPORT_FORMATS.includes(format) ? format : null;
+  }
+  const accepted = req.accepts(Object.values(CONTENT_TYPES));
+  return EXPORT_FORMATS.find((f) => CONTENT_TYPES[f] === accepted) ?? "json";
+}
+
+export const INVALID_EXPORT_FORMAT = {
+  success: false,
+  error: "Format d'export invalide",
+  message: `format doit valoir ${EXPORT_FORMATS.join(", ")}`,
+};
+
+// Cellule CSV : guillemets si nécessaire ; les textes commençant par un
+// caractère de formule (=, +, -, @) sont préfixés d'une apostrophe pour ne
+// pas être évalués par le tableur
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Valeur de cellule XLSX (les objets non prévus sont sérialisés)
+function toXlsxCell(value) {
+  if (value === undefined) return null;
+  if (value === null || value instanceof Date || typeof value !== "object") return value;
+  return JSON.stringify(value);
+}
+
+async function* csvLines(columns, rows) {
+  // BOM UTF-8 : accents lus correctement par Excel
+  yield `\uFEFF${columns.map((c) => toCsvCell(c.header)).join(",")}\r\n`;
+  for await (const row of rows) {
+    yield `${columns.map((c) => toCsvCell(c.value(row))).join(",")}\r\n`;
+  }
+}
+
+async function writeXlsx(res, { sheetName, columns, rows }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((c) => ({ header: c.header, key: c.header }));
+  worksheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    worksheet.addRow(columns.map((c) => toXlsxCell(c.value(row)))).commit();
+  }
+  worksheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Écrit `rows` (tableau ou itérable asynchrone, ex. curseur MongoDB) dans la
+ * réponse au format csv ou xlsx : une ligne par élément, une colonne par
+ * entrée de `columns`, en pièce jointe `<filename>-<date>.<format>`.
+ * Une erreur en cours d'écriture interrompt la réponse (les en-têtes sont
+ * déjà envoyés).
+ */
+export async function sendExport(res, format, { filename, sheetName = filename, columns, rows }) {
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.type(CONTENT_TYPES[format]);
+  res.attachment(`${filename}-${date}.${format}`);
+
+  try {
+    if (format === "xlsx") {
+      await writeXlsx(res, { sheetName, columns, rows });
+    } else {
+      await pipeline(Readable.from(csvLines(columns, rows)), res);
+    }
+  } catch (error) {
+    console.error(`Erreur export ${filename}.${format}:`, error);
+    res.destroy(error);
+  }
+}
@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import { MongoClient } from "mongodb";
+import { config } from "dotenv";
+import { isSupported, extractSections } from "./extractors.js";
+import {
+  ISSUES_COLLECTION,
+  extractIssues,
+  mergeIssues,
+  ensureIssueIndexes,
+  replaceIssues,
+} from "./issues.js";
+
+// Extraction des issues résolues et connues des release notes du dossier
+// documents/ vers la collection MongoDB "issues" (contenu remplacé)
+// Usage : node extract-issues.js
+
+config();
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017";
+const DB_NAME = "sdwan_fleet";
+const DOCUMENTS_DIR = "./documents";
+
+async function main() {
+  console.log("🚀 Extraction des issues des release notes...\n");
+
+  const files = fs.readdirSync(DOCUMENTS_DIR).filter(isSupported);
+  const extracted = [];
+
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(path.join(DOCUMENTS_DIR, file));
+      const issues = extractIssues(await extractSections(file, content), { filename: file });
+      if (issues.length === 0) continue;
+
+      const resolved = issues.filter((issue) => issue.status === "resolved").length;
+      console.log(
+        `📄 ${file} (${issues[0].version}): ${resolved} résolue(s), ${issues.length - resolved} connue(s)`,
+      );
+      extracted.push(...issues);
+    } catch (error) {
+      console.error(`❌ ${file}: ${error.message}`);
+    }
+  }
+
+  const issues = mergeIssues(extracted);
+  const fixed = issues.filter((issue) => issue.status === "known" && issue.fixedIn).length;
+
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+
+  try {
+    const db = client.db(DB_NAME);
+    await replaceIssues(db, issues);
+    await ensureIssueIndexes(db);
+  } finally {
+    await client.close();
+  }
+
+  console.log(`\n✅ ${issues.length} issues dans la collection ${ISSUES_COLLECTION}`);
+  console.log(`   dont ${fixed} issue(s) connue(s) corrigée(s) dans une version ultérieure`);
+}
+
+main().catch((error) => {
+  console.error("❌ Erreur lors de l'extraction des issues:", error);
+  process.exit(1);
+});
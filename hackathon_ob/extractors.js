@@ -0,0 +1,76 @@
+// Extraction du texte des documents par format : liste de sections
+// { page, slide, text } (numéro de page pour les PDF, de diapositive pour
+// les PPTX). Utilisée par l'indexation et l'extraction des issues.
+
+import path from "path";
+import mammoth from "mammoth";
+import JSZip from "jszip";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+async function extractPdf(content) {
+  const pdf = await getDocument({ data: new Uint8Array(content), verbosity: 0 }).promise;
+  const sections = [];
+
+  for (let page = 1; page <= pdf.numPages; page++) {
+    const textContent = await (await pdf.getPage(page)).getTextContent();
+    const text = textContent.items
+      .map((item) => item.str + (item.hasEOL ? "\n" : ""))
+      .join("");
+    sections.push({ page, text });
+  }
+
+  await pdf.destroy();
+  return sections;
+}
+
+async function extractDocx(content) {
+  const { value } = await mammoth.extractRawText({ buffer: content });
+  return [{ text: value }];
+}
+
+async function extractPptx(content) {
+  const zip = await JSZip.loadAsync(content);
+  const slides = Object.keys(zip.files)
+    .map((name) => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .map((match) => ({ name: match[0], slide: parseInt(match[1], 10) }))
+    .sort((a, b) => a.slide - b.slide);
+
+  const sections = [];
+  for (const { name, slide } of slides) {
+    const xml = await zip.file(name).async("string");
+    // Un paragraphe (<a:p>) par ligne, texte dans les <a:t>
+    const text = xml
+      .split("</a:p>")
+      .map((paragraph) =>
+        [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g)].map((m) => m[1]).join(""),
+      )
+      .join("\n")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+    sections.push({ slide, text });
+  }
+
+  return sections;
+}
+
+export const EXTRACTORS = {
+  ".txt": async (content) => [{ text: content.toString("utf-8") }],
+  ".pdf": extractPdf,
+  ".docx": extractDocx,
+  ".pptx": extractPptx,
+};
+
+export function isSupported(file) {
+  return path.extname(file).toLowerCase() in EXTRACTORS;
+}
+
+/**
+ * Sections d'un fichier selon son extension.
+ */
+export async function extractSections(file, content) {
+  return EXTRACTORS[path.extname(file).toLowerCase()](content);
+}
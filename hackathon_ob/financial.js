@@ -0,0 +1,264 @@
+// Modèle financier : coût total de possession (TCO) de la flotte
+// Calcul pur (sans accès MongoDB) : la grille tarifaire (collection pricing)
+// est lue par server.js puis passée à indexPricing() et computeTco().
+// Prix en € HT :
+//   hardware : prix catalogue par modèle (CAPEX)
+//   license  : prix annuel par edge, par édition et palier de débit (OPEX)
+//   labor    : main d'œuvre par intervention (CAPEX)
+
+import { computeUtilization } from "./capacity.js";
+import { getCandidateModels, recommendModel } from "./right-sizing.js";
+import { DEFAULT_COSTS } from "./scenario-engine.js";
+
+export const PRICING_COLLECTION = "pricing";
+
+export const EDITIONS = ["Standard", "Enterprise", "Premium"];
+export const DEFAULT_EDITION = "Enterprise";
+export const DEFAULT_YEARS = 3;
+
+// Interventions de main d'œuvre
+export const INTERVENTIONS = {
+  SOFTWARE_UPGRADE: "softwareUpgrade",
+  HARDWARE_REPLACEMENT: "hardwareReplacement",
+};
+
+// Référence de comparaison : toute la flotte remplacée par des Edge 740 sous
+// licence Enterprise 10G
+export const BASELINE = { model: "Edge 740", edition: "Enterprise", tier: "10G" };
+
+// Statuts de cycle de vie imposant le remplacement du matériel (sans scénario)
+export const REPLACEMENT_STATUSES = ["APPROACHING_EOL", "EOL"];
+
+// Palier de débit en Mb/s : "50M" -> 50, "1G" -> 1000 (null si mal formé)
+export function parseBandwidth(value) {
+  const match = String(value ?? "").match(/^(\d+(?:\.\d+)?)\s*([MG])$/i);
+  if (!match) return null;
+  return Number(match[1]) * (match[2].toUpperCase() === "G" ? 1000 : 1);
+}
+
+/**
+ * Index de la grille tarifaire : prix matériel par modèle, paliers de
+ * licence par édition (du plus petit au plus grand débit) et main d'œuvre
+ * par intervention.
+ */
+export function indexPricing(pricing) {
+  const hardware = new Map();
+  const licenses = new Map(EDITIONS.map((edition) => [edition, []]));
+  const labor = new Map();
+
+  for (const price of pricing) {
+    if (price.category === "hardware") {
+      hardware.set(price.model, price.price);
+    } else if (price.category === "license" && licenses.has(price.edition)) {
+      licenses.get(price.edition).push({
+        tier: price.tier,
+        bandwidth: parseBandwidth(price.tier),
+        annualPrice: price.annualPrice,
+      });
+    } else if (price.category === "labor") {
+      labor.set(price.intervention, price.price);
+    }
+  }
+
+  for (const tiers of licenses.values()) {
+    tiers.sort((a, b) => a.bandwidth - b.bandwidth);
+  }
+  return { hardware, licenses, labor };
+}
+
+/**
+ * Coûts unitaires par défaut des scénarios de migration : la mise à jour
+ * logicielle suit la grille, les forfaits de remplacement (appliqués quand
+ * le modèle cible n'a pas de prix catalogue) restent ceux du moteur.
+ */
+export function getScenarioCosts(prices) {
+  return {
+    ...DEFAULT_COSTS,
+    softwareUpgrade:
+      prices.labor.get(INTERVENTIONS.SOFTWARE_UPGRADE) ?? DEFAULT_COSTS.softwareUpgrade,
+  };
+}
+
+// Plus petit palier de l'édition couvrant le débit (Mb/s), sinon le plus grand
+function findLicense(prices, edition, bandwidth) {
+  const tiers = prices.licenses.get(edition) ?? [];
+  return tiers.find((t) => t.bandwidth >= bandwidth) ?? tiers[tiers.length - 1] ?? null;
+}
+
+// Débit à licencier : palier retenu par l'étude, sinon débit mesuré, sinon
+// débit maximum du modèle
+function getLicensedBandwidth(host, model) {
+  return (
+    parseBandwidth(host.target?.bandwidth) ??
+    host.throughput ??
+    model?.specifications?.maxThroughput ??
+    null
+  );
+}
+
+function emptySummary(edition) {
+  return {
+    edition,
+    capex: { hardware: 0, labor: 0, total: 0 },
+    opex: { annual: 0, total: 0 },
+    total: 0,
+    replaced: 0,
+    byModel: {},
+    byTier: {},
+  };
+}
+
+// Ajoute un host au bilan : modèle final, coûts ponctuels, licence annuelle
+function addHost(summary, { model, replaced, hardware, labor, license }) {
+  if (replaced) summary.replaced++;
+  summary.capex.hardware += hardware;
+  summary.capex.labor += labor;
+  summary.byModel[model] ??= { count: 0, hardware: 0 };
+  summary.byModel[model].count++;
+  summary.byModel[model].hardware += hardware;
+  if (license) {
+    summary.opex.annual += license.annualPrice;
+    summary.byTier[license.tier] = (summary.byTier[license.tier] || 0) + 1;
+  }
+}
+
+function closeSummary(summary, years) {
+  summary.capex.total = summary.capex.hardware + summary.capex.labor;
+  summary.opex.total = summary.opex.annual * years;
+  summary.total = summary.capex.total + summary.opex.total;
+  return summary;
+}
+
+// Économie en pourcentage de la référence (une décimale)
+function percent(saving, reference) {
+  return reference > 0 ? Math.round((saving / reference) * 1000) / 10 : null;
+}
+
+/**
+ * TCO de la flotte sur `years` années, comparé à la référence BASELINE.
+ * Flotte optimisée :
+ *   - avec un scénario enregistré : ses actions (remplacement vers la cible
+ *     ou mise à jour logicielle), les hosts absents du scénario sont gardés
+ *     sans coût ;
+ *   - sinon : seuls les hosts en fin de support (REPLACEMENT_STATUSES) ou
+ *     surchargés sur leur modèle sont remplacés, par la cible de l'étude, à
+ *     défaut par le modèle recommandé (right-sizing), à défaut par le
+ *     remplacement prévu par le cycle de vie ; les autres sont gardés sans
+ *     coût.
+ * Les licences sont au palier couvrant le débit de chaque host. Les hosts
+ * sans prix matériel ou sans palier de licence sont listés dans `unpriced`.
+ */
+export function computeTco({
+  hosts,
+  models,
+  pricing,
+  years = DEFAULT_YEARS,
+  edition = DEFAULT_EDITION,
+  scenario = null,
+}) {
+  const prices = indexPricing(pricing);
+  const modelsByName = new Map(models.map((m) => [m.model, m]));
+  const candidates = getCandidateModels(models);
+  const actionsByHost = new Map((scenario?.actions ?? []).map((a) => [a.host, a]));
+  const replacementLabor = prices.labor.get(INTERVENTIONS.HARDWARE_REPLACEMENT) ?? 0;
+  const upgradeLabor = prices.labor.get(INTERVENTIONS.SOFTWARE_UPGRADE) ?? 0;
+
+  const baseline = emptySummary(BASELINE.edition);
+  const optimized = emptySummary(edition);
+  const unpriced = [];
+
+  for (const host of hosts) {
+    const missing = [];
+
+    // Référence
+    const baselineHardware = prices.hardware.get(BASELINE.model);
+    if (baselineHardware === undefined) missing.push(`prix matériel ${BASELINE.model}`);
+    const baselineLicense = (prices.licenses.get(BASELINE.edition) ?? []).find(
+      (t) => t.tier === BASELINE.tier,
+    );
+    if (!baselineLicense) missing.push(`licence ${BASELINE.edition} ${BASELINE.tier}`);
+    addHost(baseline, {
+      model: BASELINE.model,
+      replaced: true,
+      hardware: baselineHardware ?? 0,
+      labor: replacementLabor,
+      license: baselineLicense,
+    });
+
+    // Flotte optimisée
+    let target = null;
+    let replaced = true;
+    let flatCost = null;
+    if (scenario) {
+      const action = actionsByHost.get(host.host);
+      replaced = Boolean(action?.isBlocker);
+      target = replaced ? action.target : host.model;
+      flatCost = action?.cost ?? 0;
+    } else {
+      const current = modelsByName.get(host.model);
+      replaced =
+        REPLACEMENT_STATUSES.includes(current?.status) ||
+        computeUtilization(host, current).overloaded;
+      target = replaced
+        ? (host.target?.model ??
+          recommendModel(host, candidates).recommended ??
+          current?.replacement ??
+          null)
+        : host.model;
+    }
+
+    let hardware = 0;
+    let labor = 0;
+    if (replaced) {
+      labor = replacementLabor;
+      if (prices.hardware.has(target)) {
+        hardware = prices.hardware.get(target);
+      } else {
+        // Forfait du scénario (matériel et pose) si la cible n'est pas tarifée
+        missing.push(`prix matériel ${target ?? "(cible inconnue)"}`);
+        if (flatCost !== null) {
+          hardware = flatCost;
+          labor = 0;
+        }
+      }
+    } else if (actionsByHost.has(host.host)) {
+      labor = upgradeLabor;
+    }
+
+    const model = target ?? host.model;
+    const bandwidth = getLicensedBandwidth(host, modelsByName.get(model));
+    const license = bandwidth !== null ? findLicense(prices, edition, bandwidth) : null;
+    if (!license) missing.push(`licence ${edition}`);
+
+    addHost(optimized, { model, replaced, hardware, labor, license });
+
+    if (missing.length > 0) {
+      unpriced.push({ host: host.host, missing });
+    }
+  }
+
+  closeSummary(baseline, years);
+  closeSummary(optimized, years);
+
+  const savings = {
+    capex: baseline.capex.total - optimized.capex.total,
+    opex: baseline.opex.total - optimized.opex.total,
+    total: baseline.total - optimized.total,
+  };
+  savings.capexPercent = percent(savings.capex, baseline.capex.total);
+  savings.opexPercent = percent(savings.opex, baseline.opex.total);
+  savings.totalPercent = percent(savings.total, baseline.total);
+
+  return {
+    years,
+    edition,
+    hosts: hosts.length,
+    scenario: scenario
+      ? { _id: scenario._id, name: scenario.name, createdAt: scenario.createdAt }
+      : null,
+    baseline,
+    optimized,
+    savings,
+    unpriced,
+  };
+}
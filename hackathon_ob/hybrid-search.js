@@ -0,0 +1,130 @@
+// Recherche hybride dans la base documentaire
+// Trois classements sont fusionnés par Reciprocal Rank Fusion (RRF) :
+// similarité vectorielle, score BM25 et correspondance exacte des versions
+// et identifiants d'issues cités dans la question.
+
+import { buildBm25Index, scoreBm25, extractExactTerms } from "./bm25.js";
+import { CHUNKS_COLLECTION, getIndexMeta, searchChunks } from "./vector-store.js";
+
+// Constante de lissage de RRF (valeur usuelle)
+export const RRF_K = 60;
+
+// Nombre de candidats retenus par classement avant fusion
+export const CANDIDATES = 50;
+
+// Index BM25 gardé en mémoire tant que la collection n'est pas ré-indexée
+let cache = null;
+
+const chunkKey = (chunk) => `${chunk.filename}#${chunk.chunkIndex}`;
+
+async function getBm25Index(db) {
+  const meta = await getIndexMeta(db);
+  const updatedAt = meta?.updatedAt ? new Date(meta.updatedAt).getTime() : null;
+
+  if (!cache || cache.updatedAt !== updatedAt) {
+    const chunks = await db
+      .collection(CHUNKS_COLLECTION)
+      .find({}, { projection: { _id: 0, embedding: 0 } })
+      .toArray();
+
+    const index = buildBm25Index(chunks.map((c) => ({ key: chunkKey(c), text: c.text })));
+    cache = {
+      updatedAt,
+      chunks: new Map(chunks.map((c) => [chunkKey(c), c])),
+      terms: new Map(index.documents.map((d) => [d.key, [...d.tf.keys()]])),
+      index,
+    };
+  }
+
+  return cache;
+}
+
+/**
+ * Nombre de termes exacts (versions, issues) présents dans un chunk. Une
+ * version couvre ses rollups : "6.1.3" correspond à "6.1.3.2", pas à "6.1.30".
+ */
+function countExactMatches(chunk, tokens, { versions, issueIds }) {
+  let matches = 0;
+  for (const version of versions) {
+    const covers = (v) => v === version || v.startsWith(`${version}.`);
+    if ((chunk.version && covers(chunk.version)) || tokens.some(covers)) matches++;
+  }
+  for (const id of issueIds) {
+    if (chunk.issueIds?.includes(id) || tokens.includes(id)) matches++;
+  }
+  return matches;
+}
+
+/**
+ * Fusion RRF : score = somme sur les classements de 1 / (k + rang).
+ */
+export function reciprocalRankFusion(rankings, k = RRF_K) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((key, i) => {
+      scores.set(key, (scores.get(key) || 0) + 1 / (k + i + 1));
+    });
+  }
+  return [...scores.entries()]
+    .map(([key, score]) => ({ key, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retourne les topK chunks les plus pertinents pour une question, avec le
+ * score fusionné et le détail de chaque classement.
+ */
+export async function hybridSearch(db, { query, queryEmbedding, topK, filter = {} }) {
+  const { chunks, terms, index } = await getBm25Index(db);
+
+  // Chunks autorisés par le filtre (fichier, version, section)
+  const allowed =
+    Object.keys(filter).length > 0
+      ? new Set(
+          (
+            await db
+              .collection(CHUNKS_COLLECTION)
+              .find(filter, { projection: { _id: 0, filename: 1, chunkIndex: 1 } })
+              .toArray()
+          ).map(chunkKey),
+        )
+      : null;
+  const isAllowed = (key) => !allowed || allowed.has(key);
+
+  const vectorResults = await searchChunks(db, queryEmbedding, { topK: CANDIDATES, filter });
+  const vectorScores = new Map(vectorResults.map((c) => [chunkKey(c), c.score]));
+
+  const bm25Results = scoreBm25(index, query).filter((r) => isAllowed(r.key));
+  const bm25Scores = new Map(bm25Results.map((r) => [r.key, r.score]));
+
+  const exactTerms = extractExactTerms(query);
+  const exactMatches = new Map();
+  if (exactTerms.versions.length > 0 || exactTerms.issueIds.length > 0) {
+    for (const [key, chunk] of chunks) {
+      if (!isAllowed(key)) continue;
+      const matches = countExactMatches(chunk, terms.get(key), exactTerms);
+      if (matches > 0) exactMatches.set(key, matches);
+    }
+  }
+  const exactRanking = [...exactMatches.keys()].sort(
+    (a, b) =>
+      exactMatches.get(b) - exactMatches.get(a) ||
+      (bm25Scores.get(b) || 0) - (bm25Scores.get(a) || 0),
+  );
+
+  const fused = reciprocalRankFusion([
+    vectorResults.map(chunkKey),
+    bm25Results.slice(0, CANDIDATES).map((r) => r.key),
+    exactRanking.slice(0, CANDIDATES),
+  ]);
+
+  return fused
+    .slice(0, topK)
+    .map(({ key, score }) => ({
+      ...(chunks.get(key) ?? vectorResults.find((c) => chunkKey(c) === key)),
+      score,
+      vectorScore: vectorScores.get(key) ?? null,
+      bm25Score: bm25Scores.get(key) ?? null,
+      exactMatch: exactMatches.has(key),
+    }));
+}
@@ -0,0 +1,377 @@
+import ExcelJS from "exceljs";
+import { MongoClient, type AnyBulkWriteOperation, type Document } from "mongodb";
+import { config } from "dotenv";
+import { readFile } from "fs/promises";
+import { parseVersion } from "./versions.js";
+import { buildChange, ensureChangeIndexes, recordChanges } from "./changes.js";
+
+// Import des données de la flotte SD-WAN dans MongoDB
+// Usage : npm run import -- [chemin/vers/data_hackathon_extended.xlsx]
+
+config();
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017";
+const DB_NAME = "sdwan_fleet";
+// Auteur des changements enregistrés dans l'historique
+const IMPORT_USER = "import";
+const XLSX_FILE =
+  process.argv[2] || "../SUJET 1 - SDWAN/data_hackathon_extended.xlsx";
+
+type Row = Record<string, string | number | null>;
+
+interface Rejection {
+  sheet: string;
+  row: number;
+  host: string | null;
+  reason: string;
+}
+
+interface Metrics {
+  throughput: number | null;
+  tunnels: number | null;
+  flowsPerSecond: number | null;
+  flows: number | null;
+  natEntries: number | null;
+  ports: { rj45: number | null; sfp: number | null };
+}
+
+// Colonnes attendues (en-têtes normalisés) -> clés internes
+const INVENTORY_COLUMNS: Record<string, string> = {
+  hostame: "host",
+  hostname: "host",
+  name: "name",
+  model: "model",
+  type: "type",
+  "actual version": "version",
+};
+
+const MEASURED_COLUMNS: Record<string, string> = {
+  hostame: "host",
+  hostname: "host",
+  "max throughput in mb/s (routed-mode mix)": "throughput",
+  "max tunnels": "tunnels",
+  "max flows/s": "flowsPerSecond",
+  "max concurrent flows": "flows",
+  "max nat entries": "natEntries",
+  "1g rj45 used ports": "rj45",
+  "1g sfp used ports": "sfp",
+  cible: "target",
+  "critères choix 720 / 740": "cause",
+};
+
+const METRIC_KEYS = [
+  "throughput",
+  "tunnels",
+  "flowsPerSecond",
+  "flows",
+  "natEntries",
+  "rj45",
+  "sfp",
+];
+
+const rejections: Rejection[] = [];
+
+function normalizeHeader(header: unknown): string {
+  return String(header ?? "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function cellValue(value: ExcelJS.CellValue): string | number | null {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return value;
+  if (typeof value === "object" && "result" in value) {
+    return cellValue(value.result as ExcelJS.CellValue);
+  }
+  if (typeof value === "object" && "richText" in value) {
+    return value.richText.map((part) => part.text).join("").trim() || null;
+  }
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+// Lit une feuille et retourne ses lignes indexées par les clés internes
+function readSheet(
+  workbook: ExcelJS.Workbook,
+  sheetName: string,
+  columns: Record<string, string>,
+): { row: number; values: Row }[] {
+  const sheet = workbook.getWorksheet(sheetName);
+  if (!sheet) {
+    throw new Error(`Feuille "${sheetName}" introuvable dans ${XLSX_FILE}`);
+  }
+
+  const keys: (string | undefined)[] = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    keys[col] = columns[normalizeHeader(cell.value)];
+  });
+
+  const rows: { row: number; values: Row }[] = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values: Row = {};
+    row.eachCell((cell, col) => {
+      const key = keys[col];
+      if (key) values[key] = cellValue(cell.value);
+    });
+    if (Object.keys(values).length > 0) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  return rows;
+}
+
+// "Edge840" -> "Edge 840"
+function normalizeModel(model: string): string {
+  const match = model.match(/^edge\s*(.+)$/i);
+  return match ? `Edge ${match[1].trim()}` : model;
+}
+
+function toMetric(value: string | number | null): number | null {
+  if (value === null) return null;
+  const n = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// Valide les métriques mesurées ; retourne null si une valeur est invalide
+function parseMetrics(
+  values: Row,
+  reject: (reason: string) => void,
+): Metrics | null {
+  const parsed: Record<string, number | null> = {};
+  for (const key of METRIC_KEYS) {
+    const n = toMetric(values[key] ?? null);
+    if (Number.isNaN(n)) {
+      reject(`Valeur invalide pour ${key}: ${values[key]}`);
+      return null;
+    }
+    parsed[key] = n;
+  }
+
+  return {
+    throughput: parsed.throughput,
+    tunnels: parsed.tunnels,
+    flowsPerSecond: parsed.flowsPerSecond,
+    flows: parsed.flows,
+    natEntries: parsed.natEntries,
+    ports: { rj45: parsed.rj45, sfp: parsed.sfp },
+  };
+}
+
+// "710 10M" -> { model: "Edge 710", bandwidth: "10M" }
+function parseTarget(target: string | number | null) {
+  if (target === null) return null;
+  const match = String(target).match(/^(\d{3,4}(?:-\w+)?)\s*(\S+)?$/);
+  if (!match) return undefined;
+  return { model: `Edge ${match[1]}`, bandwidth: match[2] ?? null };
+}
+
+async function readJson<T>(file: string): Promise<T> {
+  return JSON.parse(await readFile(new URL(file, import.meta.url), "utf-8"));
+}
+
+async function importFleet() {
+  console.log("🚀 Import des données de la flotte SD-WAN\n");
+
+  const now = new Date();
+  const models = await readJson<Document[]>("./data/models.json");
+  const versionPaths = await readJson<Document[]>("./data/version-paths.json");
+  const compatibility = await readJson<Document[]>("./data/compatibility.json");
+  const releases = await readJson<Document[]>("./data/releases.json");
+  const pricing = await readJson<Document[]>("./data/pricing.json");
+
+  const modelsByName = new Map(models.map((m) => [m.model as string, m]));
+
+  console.log(`📄 Lecture de: ${XLSX_FILE}`);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(XLSX_FILE);
+
+  // 1. Inventaire
+  const hosts = new Map<string, Document>();
+  for (const { row, values } of readSheet(workbook, "Inventaire", INVENTORY_COLUMNS)) {
+    const host = values.host ? String(values.host) : null;
+    const reject = (reason: string) =>
+      rejections.push({ sheet: "Inventaire", row, host, reason });
+
+    if (!host) {
+      reject("Hostname manquant");
+      continue;
+    }
+    if (hosts.has(host)) {
+      reject("Hostname en double");
+      continue;
+    }
+    if (!values.model) {
+      reject("Modèle manquant");
+      continue;
+    }
+    const version = values.version !== null ? String(values.version) : "";
+    if (!parseVersion(version)) {
+      reject(`Version invalide: ${values.version}`);
+      continue;
+    }
+
+    const model = normalizeModel(String(values.model));
+    if (!modelsByName.has(model)) {
+      reject(`Modèle inconnu: ${model}`);
+      continue;
+    }
+
+    hosts.set(host, {
+      host,
+      name: values.name ? String(values.name) : host,
+      model,
+      type: values.type ? String(values.type) : modelsByName.get(model)!.type,
+      softwareVersion: version,
+    });
+  }
+
+  // 2. Valeurs maximales mesurées (et cible de remplacement retenue)
+  for (const { row, values } of readSheet(workbook, "Measured values", MEASURED_COLUMNS)) {
+    const host = values.host ? String(values.host) : null;
+    const reject = (reason: string) =>
+      rejections.push({ sheet: "Measured values", row, host, reason });
+
+    if (!host || !hosts.has(host)) {
+      reject(host ? "Hostname absent de l'inventaire" : "Hostname manquant");
+      continue;
+    }
+
+    const metrics = parseMetrics(values, reject);
+    if (!metrics) continue;
+
+    const target = parseTarget(values.target);
+    if (target === undefined) {
+      reject(`Cible invalide: ${values.target}`);
+      continue;
+    }
+
+    Object.assign(hosts.get(host)!, metrics, {
+      target,
+      targetCause: values.cause ? String(values.cause) : null,
+    });
+  }
+
+  // 3. Écriture dans MongoDB
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+  const db = client.db(DB_NAME);
+
+  try {
+    // Les champs `unset` ne sont plus importés : retirés des documents existants
+    const upsert = (key: string, docs: Document[], unset: string[] = []): AnyBulkWriteOperation[] =>
+      docs.map((doc) => ({
+        updateOne: {
+          filter: { [key]: doc[key] },
+          update: {
+            $set: { ...doc, importedAt: now },
+            ...(unset.length > 0 && {
+              $unset: Object.fromEntries(unset.map((field) => [field, ""])),
+            }),
+          },
+          upsert: true,
+        },
+      }));
+
+    // Documents existants des collections historisées (hosts, models)
+    const snapshot = async (name: string, key: string, docs: Document[]) =>
+      new Map(
+        (
+          await db
+            .collection(name)
+            .find({ [key]: { $in: docs.map((doc) => doc[key]) } })
+            .toArray()
+        ).map((doc) => [doc[key] as string, doc]),
+      );
+    const hostDocs = [...hosts.values()];
+    const before = {
+      models: await snapshot("models", "model", models),
+      hosts: await snapshot("hosts", "host", hostDocs),
+    };
+
+    // Le statut de cycle de vie est calculé par l'API à partir des dates
+    const results = {
+      models: await db.collection("models").bulkWrite(upsert("model", models, ["status"])),
+      versionPaths: await db
+        .collection("versionPaths")
+        .bulkWrite(upsert("versionRange", versionPaths)),
+      compatibility: await db
+        .collection("compatibility")
+        .bulkWrite([
+          ...upsert("model", compatibility),
+          // La matrice est entièrement décrite par le fichier : les modèles
+          // qui n'y figurent plus perdent leur contrainte
+          { deleteMany: { filter: { model: { $nin: compatibility.map((c) => c.model) } } } },
+        ]),
+      releases: await db.collection("releases").bulkWrite(upsert("release", releases)),
+      pricing: await db.collection("pricing").bulkWrite(upsert("key", pricing)),
+      hosts:
+        hosts.size > 0
+          ? await db
+              .collection("hosts")
+              .bulkWrite(upsert("host", hostDocs, ["lifecycle"]))
+          : null,
+    };
+
+    // Historique des changements apportés par l'import
+    const after = {
+      models: await snapshot("models", "model", models),
+      hosts: await snapshot("hosts", "host", hostDocs),
+    };
+    const changes = (["models", "hosts"] as const).flatMap((name) =>
+      [...after[name].entries()].map(([key, doc]) =>
+        buildChange({
+          collection: name,
+          key,
+          before: before[name].get(key) ?? null,
+          after: doc,
+          user: IMPORT_USER,
+          changedAt: now,
+        }),
+      ),
+    );
+    const recordedChanges = await recordChanges(db, changes);
+
+    await Promise.all([
+      ensureChangeIndexes(db),
+      db.collection("hosts").createIndex({ host: 1 }, { unique: true }),
+      db.collection("models").createIndex({ model: 1 }, { unique: true }),
+      db.collection("versionPaths").createIndex({ versionRange: 1 }, { unique: true }),
+      db.collection("compatibility").createIndex({ model: 1 }, { unique: true }),
+      db.collection("releases").createIndex({ release: 1 }, { unique: true }),
+      db.collection("pricing").createIndex({ key: 1 }, { unique: true }),
+    ]);
+
+    console.log("\n📊 Rapport d'import:");
+    for (const [name, result] of Object.entries(results)) {
+      if (!result) continue;
+      console.log(
+        `   ${name}: ${result.upsertedCount} créé(s), ${result.modifiedCount} mis à jour` +
+          (result.deletedCount > 0 ? `, ${result.deletedCount} supprimé(s)` : ""),
+      );
+    }
+    console.log(`   changes: ${recordedChanges} changement(s) historisé(s)`);
+  } finally {
+    await client.close();
+  }
+
+  if (rejections.length > 0) {
+    console.log(`\n⚠️  ${rejections.length} ligne(s) rejetée(s):`);
+    for (const r of rejections) {
+      console.log(`   [${r.sheet} L${r.row}] ${r.host ?? "-"}: ${r.reason}`);
+    }
+    process.exitCode = 1;
+  } else {
+    console.log("\n✅ Aucune ligne rejetée");
+  }
+
+  console.log("\n🎉 Import terminé");
+}
+
+importFleet().catch((error) => {
+  console.error("❌ Erreur lors de l'import:", error);
+  process.exit(1);
+});
@@ -0,0 +1,224 @@
+// Base des issues (résolues et connues) extraites des release notes
+// Chaque entrée "Fixed Issue 12345:" d'une section Resolved Issues ou
+// "Issue 12345:" d'une section Known Issues devient un document de la
+// collection "issues" ; la version corrigeant une issue connue est retrouvée
+// dans les release notes ultérieures.
+
+import { getDocumentBlocks, getDocumentVersion } from "./chunker.js";
+import {
+  compareVersions,
+  getTrain,
+  matchesVersionPattern,
+  versionPrefixPattern,
+} from "./versions.js";
+
+export const ISSUES_COLLECTION = "issues";
+
+// Statut d'une issue selon la section où elle figure
+const SECTION_STATUSES = {
+  "Resolved Issues": "resolved",
+  "Known Issues": "known",
+};
+
+export const ISSUE_STATUSES = Object.values(SECTION_STATUSES);
+export const ISSUE_COMPONENTS = ["Edge/Gateway", "Edge", "Gateway", "Orchestrator"];
+
+// Valeur du filtre component désignant les issues sans composant identifié
+// (component null), qu'aucun des composants ci-dessus ne couvre
+export const UNASSIGNED_COMPONENT = "unassigned";
+
+// Annonce du build qui résout les issues suivantes, précédée ou non d'un
+// titre : "Resolved in Edge/Gateway Version R5251-20250410-GA
+// Edge/Gateway version R5251-20250410-GA was released on 04-24-2025..."
+// (certaines release notes écrivent "Edge/Gateway build R5233-... was released")
+const COMPONENT = "Edge\\/Gateway|Edge|Gateway|Orchestrator";
+const BUILD_ANNOUNCEMENT = new RegExp(
+  `(?:(?:Resolved\\s+in\\s+)?(?:${COMPONENT})\\s+Version\\s+R\\S+\\s+)?` +
+    `(${COMPONENT})\\s+(?:version|build)\\s+(R\\d{4}-\\d{8}[\\w-]*)\\s+was\\s+released`,
+  "gi",
+);
+
+const ENTRY_PREFIX = /^(?:(?:Fixed|Open)\s+)?Issue\s+#?\d{5,6}:\s*/;
+
+/**
+ * Version d'un build ("R5251-20250410-GA" -> "5.2.5.1", "R6100-..." -> "6.1.0").
+ * null si le nom ne suit pas ce format.
+ */
+export function getBuildVersion(build) {
+  const match = build?.match(/^R(\d)(\d)(\d)(\d)-/);
+  if (!match) return null;
+  const [, major, minor, patch, rollup] = match;
+  return rollup === "0" ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch}.${rollup}`;
+}
+
+/**
+ * Issues d'un document de release notes (liste de sections { page, slide,
+ * text }) : { issueId, status, version, component, description, workaround,
+ * build, fixedIn, filename, page }. Vide si le document n'est pas une
+ * release note.
+ */
+export function extractIssues(sections, { filename }) {
+  const version = getDocumentVersion(
+    filename,
+    sections.map((s) => s.text).join("\n").slice(0, 5000),
+  );
+  if (!version) return [];
+
+  const issues = [];
+  let section = null;
+  let build = null;
+  let buildComponent = null;
+
+  for (const block of getDocumentBlocks(sections)) {
+    // Un build ne vaut que pour la section où il est annoncé (une entrée
+    // "Open Issue" isolée dans une liste d'issues résolues ne la termine pas)
+    if (block.kind === "text" && block.section !== section) {
+      section = block.section;
+      build = null;
+      buildComponent = null;
+    }
+
+    const text = block.text.replace(/\s+/g, " ").trim();
+    const announcements = [...text.matchAll(BUILD_ANNOUNCEMENT)];
+    const status = SECTION_STATUSES[block.section];
+
+    if (block.kind === "issue" && status) {
+      // L'annonce du build suivant est rattachée à ce bloc
+      const body = (announcements.length > 0 ? text.slice(0, announcements[0].index) : text)
+        .replace(ENTRY_PREFIX, "")
+        .trim();
+      const [description, ...workaround] = body.split(/\s*\bWorkaround:\s*/);
+      const issueBuild = status === "resolved" ? build : null;
+
+      issues.push({
+        issueId: block.issueId,
+        status,
+        version,
+        component: block.component ?? (status === "resolved" ? buildComponent : null),
+        description,
+        workaround: workaround.length > 0 ? workaround.join(" ") : null,
+        build: issueBuild,
+        fixedIn: status === "resolved" ? (getBuildVersion(issueBuild) ?? version) : null,
+        filename,
+        page: block.page ?? null,
+      });
+    }
+
+    if (announcements.length > 0) {
+      const last = announcements[announcements.length - 1];
+      buildComponent = last[1];
+      build = last[2];
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Fusionne les issues de plusieurs documents : doublons retirés (même issue,
+ * statut, version et composant ; fichiers identiques sous deux noms), et
+ * version corrective des issues connues renseignée d'après les issues
+ * résolues d'une version ultérieure (la plus ancienne).
+ */
+export function mergeIssues(issues) {
+  const unique = new Map();
+  for (const issue of issues) {
+    const key = [issue.issueId, issue.status, issue.version, issue.component].join("|");
+    const existing = unique.get(key);
+    if (
+      !existing ||
+      (issue.fixedIn && existing.fixedIn && compareVersions(issue.fixedIn, existing.fixedIn) < 0)
+    ) {
+      unique.set(key, issue);
+    }
+  }
+
+  const fixes = new Map();
+  for (const issue of unique.values()) {
+    if (issue.status !== "resolved") continue;
+    if (!fixes.has(issue.issueId)) fixes.set(issue.issueId, []);
+    fixes.get(issue.issueId).push(issue.fixedIn);
+  }
+
+  return [...unique.values()].map((issue) => {
+    if (issue.status !== "known") return issue;
+    const fixedIn = (fixes.get(issue.issueId) ?? [])
+      .filter((v) => compareVersions(v, issue.version) > 0)
+      .sort(compareVersions)[0];
+    return { ...issue, fixedIn: fixedIn ?? null };
+  });
+}
+
+export async function ensureIssueIndexes(db) {
+  const issues = db.collection(ISSUES_COLLECTION);
+  await Promise.all([
+    issues.createIndex({ issueId: 1 }),
+    issues.createIndex({ version: 1, status: 1 }),
+  ]);
+}
+
+/**
+ * Remplace le contenu de la collection (ré-extraction complète).
+ */
+export async function replaceIssues(db, issues) {
+  const collection = db.collection(ISSUES_COLLECTION);
+  await collection.deleteMany({});
+  if (issues.length > 0) {
+    await collection.insertMany(issues.map((issue) => ({ ...issue })));
+  }
+}
+
+/**
+ * Filtre MongoDB des issues : version des release notes ("6.4" couvre 6.4.x),
+ * composant ("Edge" couvre "Edge/Gateway", UNASSIGNED_COMPONENT les issues
+ * sans composant), statut et texte recherché dans l'identifiant ou la
+ * description.
+ */
+export function buildIssueFilter({ version, component, status, q } = {}) {
+  const filter = {};
+  if (version) filter.version = { $regex: versionPrefixPattern(version) };
+  if (status) filter.status = status;
+  if (component === UNASSIGNED_COMPONENT) {
+    filter.component = null;
+  } else if (component) {
+    const parts = component.split("/");
+    filter.component = {
+      $in: ISSUE_COMPONENTS.filter((c) => c.split("/").some((p) => parts.includes(p))),
+    };
+  }
+  if (q) {
+    const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.$or = [
+      { issueId: q.replace(/^#/, "") },
+      { description: { $regex: escaped, $options: "i" } },
+    ];
+  }
+  return filter;
+}
+
+/**
+ * Indique si une version est corrigée par une cible : "6.4.1" couvre ses
+ * rollups (6.4.1.3).
+ */
+export function isFixedBy(fixedIn, target) {
+  return compareVersions(fixedIn, target) <= 0 || matchesVersionPattern(fixedIn, target);
+}
+
+/**
+ * Critères portant sur les versions, appliqués après la requête :
+ *   affects : issues connues d'une version du même train, au plus égale,
+ *             non corrigées à cette version
+ *   fixedBy : issues corrigées au plus tard par cette version (et ses rollups)
+ */
+export function filterIssues(issues, { affects, fixedBy } = {}) {
+  return issues.filter((issue) => {
+    if (affects) {
+      if (issue.status !== "known") return false;
+      if (getTrain(issue.version) !== getTrain(affects)) return false;
+      if (compareVersions(issue.version, affects) > 0) return false;
+      if (issue.fixedIn && compareVersions(issue.fixedIn, affects) <= 0) return false;
+    }
+    if (fixedBy && !(issue.fixedIn && isFixedBy(issue.fixedIn, fixedBy))) return false;
+    return true;
+  });
+}
@@ -0,0 +1,116 @@
+// Cycle de vie des modèles d'équipements
+// Le statut n'est pas stocké : il est calculé à une date de référence à partir
+// des dates de fin de commercialisation (eosDate, End of Sale) et de fin de
+// support (eolDate) du document "SD-WAN edges lifecycle".
+
+// Statuts, du plus récent au plus ancien
+export const LIFECYCLE_STATUSES = ["CURRENT", "EOS", "APPROACHING_EOL", "EOL"];
+
+// Fenêtre (en jours) avant la fin de support pour le statut APPROACHING_EOL
+export const DEFAULT_APPROACHING_DAYS = 365;
+
+const DAY_MS = 86400000;
+
+// Nombre de jours (arrondi au supérieur) entre la date de référence et une date
+function daysUntil(date, asOf) {
+  return date ? Math.ceil((new Date(date).getTime() - asOf.getTime()) / DAY_MS) : null;
+}
+
+/**
+ * Statut d'un modèle à la date `asOf` :
+ *   EOL             : fin de support dépassée
+ *   APPROACHING_EOL : fin de support dans la fenêtre `approachingDays`
+ *   EOS             : fin de commercialisation dépassée
+ *   CURRENT         : sinon (ou dates inconnues, modèle absent)
+ */
+export function getLifecycleStatus(
+  model,
+  { asOf = new Date(), approachingDays = DEFAULT_APPROACHING_DAYS } = {},
+) {
+  const { eosDate, eolDate } = model ?? {};
+  const daysToEol = daysUntil(eolDate, asOf);
+  const daysToEos = daysUntil(eosDate, asOf);
+
+  if (daysToEol !== null && daysToEol <= 0) return "EOL";
+  if (daysToEol !== null && daysToEol <= approachingDays) return "APPROACHING_EOL";
+  if (daysToEos !== null && daysToEos <= 0) return "EOS";
+  return "CURRENT";
+}
+
+/**
+ * Cycle de vie d'un modèle : statut, dates, jours restants, modèle de
+ * remplacement recommandé et autres modèles équivalents. Modèle inconnu :
+ * statut CURRENT sans dates.
+ */
+export function getLifecycle(model, options = {}) {
+  const asOf = options.asOf ?? new Date();
+  return {
+    status: getLifecycleStatus(model, { ...options, asOf }),
+    eosDate: model?.eosDate ?? null,
+    eolDate: model?.eolDate ?? null,
+    daysToEos: daysUntil(model?.eosDate, asOf),
+    daysToEol: daysUntil(model?.eolDate, asOf),
+    replacement: model?.replacement ?? null,
+    alternatives: model?.alternatives ?? [],
+  };
+}
+
+/**
+ * Trimestre d'une date : "2025-Q3".
+ */
+export function getQuarter(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+}
+
+// Trimestre suivant : "2025-Q4" -> "2026-Q1"
+function nextQuarter(quarter) {
+  const [year, q] = quarter.split("-Q").map(Number);
+  return q === 4 ? `${year + 1}-Q1` : `${year}-Q${q + 1}`;
+}
+
+/**
+ * Nombre de hosts qui franchissent leur fin de commercialisation (eos) ou de
+ * support (eol) par trimestre, avec le détail par modèle. Tous les
+ * trimestres entre le premier et le dernier événement (ou entre `from` et
+ * `to`) sont présents, y compris ceux sans événement.
+ */
+export function buildLifecycleTimeline(hosts, models, { from, to } = {}) {
+  const hostCounts = new Map();
+  for (const host of hosts) {
+    hostCounts.set(host.model, (hostCounts.get(host.model) || 0) + 1);
+  }
+
+  const events = [];
+  for (const model of models) {
+    const hostCount = hostCounts.get(model.model) || 0;
+    if (hostCount === 0) continue;
+    for (const [event, date] of [["eos", model.eosDate], ["eol", model.eolDate]]) {
+      if (!date) continue;
+      if ((from && new Date(date) < from) || (to && new Date(date) > to)) continue;
+      events.push({ quarter: getQuarter(date), event, model: model.model, date, hosts: hostCount });
+    }
+  }
+
+  const quarters = events.map((e) => e.quarter).sort();
+  const first = from ? getQuarter(from) : quarters[0];
+  const last = to ? getQuarter(to) : quarters[quarters.length - 1];
+  if (!first || !last) return [];
+
+  const timeline = [];
+  for (let quarter = first; quarter <= last; quarter = nextQuarter(quarter)) {
+    const quarterEvents = events.filter((e) => e.quarter === quarter);
+    const count = (event) =>
+      quarterEvents.filter((e) => e.event === event).reduce((sum, e) => sum + e.hosts, 0);
+
+    timeline.push({
+      quarter,
+      eos: count("eos"),
+      eol: count("eol"),
+      models: quarterEvents
+        .sort((a, b) => a.date.localeCompare(b.date) || a.model.localeCompare(b.model))
+        .map(({ event, model, date, hosts }) => ({ event, model, date, hosts })),
+    });
+  }
+  return timeline;
+}
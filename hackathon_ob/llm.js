@@ -0,0 +1,66 @@
+// Backends LLM pour la génération des réponses du RAG
+// LLM_BACKEND=ollama (par défaut) ou stub (réponse locale sans modèle, pour
+// les tests et les postes sans Ollama).
+
+const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434";
+const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama3.2:1b";
+
+const backends = {
+  ollama: {
+    name: "ollama",
+    model: OLLAMA_MODEL,
+    async generate(prompt) {
+      const response = await fetch(`${OLLAMA_URL}/api/generate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model: OLLAMA_MODEL,
+          prompt,
+          stream: false,
+          options: {
+            num_gpu: 0, // Forcer le CPU pour éviter les erreurs CUDA
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama a répondu ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.response;
+    },
+  },
+
+  // Restitue directement les passages pertinents
+  stub: {
+    name: "stub",
+    model: null,
+    async generate(prompt, chunks = []) {
+      let answer = "📚 **Passages pertinents trouvés dans les documents:**\n\n";
+
+      for (const chunk of chunks.slice(0, 3)) {
+        answer += `**📄 ${chunk.source}**\n`;
+        answer += `${chunk.text.substring(0, 500)}${chunk.text.length > 500 ? "..." : ""}\n\n`;
+        answer += `---\n\n`;
+      }
+
+      return answer;
+    },
+  },
+};
+
+export const LLM_BACKENDS = Object.keys(backends);
+
+/**
+ * Retourne le backend LLM demandé (LLM_BACKEND par défaut).
+ */
+export function getLlmBackend(name = process.env.LLM_BACKEND || "ollama") {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(
+      `Backend LLM inconnu: ${name} (disponibles: ${LLM_BACKENDS.join(", ")})`,
+    );
+  }
+  return backend;
+}
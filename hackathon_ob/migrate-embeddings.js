@@ -0,0 +1,101 @@
+import { readFile } from "fs/promises";
+import { MongoClient } from "mongodb";
+import { config } from "dotenv";
+import {
+  CHUNKS_COLLECTION,
+  saveIndexMeta,
+  ensureChunkIndexes,
+  replaceFileChunks,
+} from "./vector-store.js";
+
+// Migration d'un embeddings.json (ancien format fichier) vers la collection
+// MongoDB "chunks". Le contenu de la collection est remplacé.
+// Usage : node migrate-embeddings.js [embeddings.json] [--model <modèle>]
+//   --model : modèle d'embedding des fichiers antérieurs à son enregistrement
+//             dans embeddings.json (ex. Xenova/all-MiniLM-L6-v2)
+
+config();
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017";
+const DB_NAME = "sdwan_fleet";
+
+function parseArgs(argv) {
+  const modelIndex = argv.indexOf("--model");
+  const model = modelIndex !== -1 ? argv[modelIndex + 1] : null;
+  const file = argv.find(
+    (arg, i) => !arg.startsWith("--") && (modelIndex === -1 || i !== modelIndex + 1),
+  );
+  return { file: file || "./embeddings.json", model };
+}
+
+async function migrateEmbeddings() {
+  const { file, model } = parseArgs(process.argv.slice(2));
+  console.log(`🚀 Migration de ${file} vers MongoDB\n`);
+
+  const index = JSON.parse(await readFile(file, "utf-8"));
+  const embeddingModel = index.embeddingModel ?? model;
+  if (!embeddingModel) {
+    throw new Error(
+      `${file} ne précise pas son modèle d'embedding : indiquez-le avec --model`,
+    );
+  }
+  if (model && index.embeddingModel && model !== index.embeddingModel) {
+    throw new Error(
+      `Modèle demandé "${model}" différent de celui du fichier "${index.embeddingModel}"`,
+    );
+  }
+
+  const documents = index.documents ?? [];
+  const dimensions = index.dimensions ?? documents[0]?.embedding.length;
+  const invalid = documents.find((doc) => doc.embedding?.length !== dimensions);
+  if (invalid) {
+    throw new Error(
+      `Chunk ${invalid.filename}#${invalid.chunkIndex} de dimension ${invalid.embedding?.length} (attendu: ${dimensions})`,
+    );
+  }
+
+  const byFile = new Map();
+  for (const { filename, ...chunk } of documents) {
+    if (!byFile.has(filename)) byFile.set(filename, []);
+    byFile.get(filename).push(chunk);
+  }
+
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+  const db = client.db(DB_NAME);
+
+  try {
+    await db.collection(CHUNKS_COLLECTION).deleteMany({});
+    await ensureChunkIndexes(db);
+
+    for (const [filename, chunks] of byFile) {
+      await replaceFileChunks(db, filename, chunks);
+      console.log(`📄 ${filename}: ${chunks.length} chunks`);
+    }
+
+    await saveIndexMeta(db, {
+      createdAt: index.createdAt ? new Date(index.createdAt) : new Date(),
+      updatedAt: new Date(),
+      embeddingModel,
+      dimensions,
+      chunking: index.chunking ?? null,
+      totalDocuments: byFile.size,
+      totalChunks: documents.length,
+      files: index.files ?? {},
+    });
+  } finally {
+    await client.close();
+  }
+
+  console.log(`\n✅ ${documents.length} chunks migrés (${byFile.size} fichiers, modèle ${embeddingModel})`);
+  if (!index.files || !index.chunking) {
+    console.log(
+      "⚠️  Fichier sans empreintes ou paramètres de découpage : le prochain process-documents.js ré-indexera les documents",
+    );
+  }
+}
+
+migrateEmbeddings().catch((error) => {
+  console.error("❌ Erreur lors de la migration:", error);
+  process.exit(1);
+});
@@ -1,42 +1,73 @@
-const fs = require("fs");
-const path = require("path");
-const mammoth = require("mammoth");
-const { pipeline } = require("@xenova/transformers");
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { MongoClient } from "mongodb";
+import { config } from "dotenv";
+import { EMBEDDING_MODEL, embedText } from "./embedder.js";
+import { EXTRACTORS, isSupported, extractSections } from "./extractors.js";
+import {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  chunkDocument,
+  getEmbeddingText,
+  validateChunking,
+} from "./chunker.js";
+import {
+  CHUNKS_COLLECTION,
+  getIndexMeta,
+  saveIndexMeta,
+  ensureChunkIndexes,
+  replaceFileChunks,
+  deleteFileChunks,
+} from "./vector-store.js";
+
+// Indexation incrémentale des documents (.txt, .pdf, .docx, .pptx) dans la
+// collection MongoDB "chunks"
+// Usage : node process-documents.js [--full] [--watch]
+//   --full  : ré-embedde tous les fichiers (ignore l'index existant)
+//   --watch : ré-indexe à chaque ajout / modification dans documents/
+// processDocuments est aussi appelée par l'API (POST /api/documents/reindex).
+// La taille des chunks et leur chevauchement (en caractères) se règlent avec
+// CHUNK_SIZE et CHUNK_OVERLAP ; les changer force une ré-indexation complète.
+
+config();
 
 // Configuration
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017";
+const DB_NAME = "sdwan_fleet";
 const DOCUMENTS_DIR = "./documents";
-const OUTPUT_FILE = "./embeddings.json";
-const CHUNK_SIZE = 500; // Taille des morceaux de texte en caractères
-
-// Fonction pour découper le texte en morceaux
-function chunkText(text, chunkSize = CHUNK_SIZE) {
-  const chunks = [];
-  const sentences = text.match(/[^\.!\?]+[\.!\?]+/g) || [text];
-
-  let currentChunk = "";
-
-  for (const sentence of sentences) {
-    if (
-      (currentChunk + sentence).length > chunkSize &&
-      currentChunk.length > 0
-    ) {
-      chunks.push(currentChunk.trim());
-      currentChunk = sentence;
-    } else {
-      currentChunk += " " + sentence;
-    }
-  }
+const CHUNK_SIZE = Number(process.env.CHUNK_SIZE ?? DEFAULT_CHUNK_SIZE);
+const CHUNK_OVERLAP = Number(process.env.CHUNK_OVERLAP ?? DEFAULT_CHUNK_OVERLAP);
+const WATCH_DELAY = 2000; // Délai (ms) avant ré-indexation après un changement
 
-  if (currentChunk.trim().length > 0) {
-    chunks.push(currentChunk.trim());
-  }
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
 
-  return chunks;
+// Index existant, s'il a été construit avec le même modèle d'embedding et
+// le même découpage
+async function loadExistingIndex(db) {
+  const meta = await getIndexMeta(db);
+  if (!meta) return null;
+
+  if (meta.embeddingModel !== EMBEDDING_MODEL) {
+    console.log(
+      `⚠️  Index existant construit avec "${meta.embeddingModel ?? "modèle inconnu"}": ré-indexation complète`,
+    );
+    return null;
+  }
+  if (meta.chunking?.size !== CHUNK_SIZE || meta.chunking?.overlap !== CHUNK_OVERLAP) {
+    console.log("⚠️  Index existant découpé avec d'autres paramètres: ré-indexation complète");
+    return null;
+  }
+  return meta;
 }
 
 // Fonction principale
-async function processDocuments() {
+export async function processDocuments(db, { full = false } = {}) {
   console.log("🚀 Démarrage du traitement des documents...\n");
+  validateChunking(CHUNK_SIZE, CHUNK_OVERLAP);
 
   // Vérifier que le dossier documents existe
   if (!fs.existsSync(DOCUMENTS_DIR)) {
@@ -46,36 +77,57 @@ async function processDocuments() {
 
   // Lire tous les fichiers du dossier
   const files = fs.readdirSync(DOCUMENTS_DIR);
-  const supportedFiles = files.filter((file) => file.endsWith(".txt"));
+  const supportedFiles = files.filter(isSupported);
 
   if (supportedFiles.length === 0) {
-    console.error("❌ Aucun fichier TXT trouvé dans le dossier documents/");
+    console.error(
+      `❌ Aucun fichier ${Object.keys(EXTRACTORS).join(", ")} trouvé dans le dossier documents/`,
+    );
     return;
   }
 
   console.log(`📁 ${supportedFiles.length} document(s) trouvé(s)\n`);
 
-  // Extraire le texte de tous les documents
+  const existing = full ? null : await loadExistingIndex(db);
+  const previousFiles = existing?.files ?? {};
+
+  // Extraire le texte des documents nouveaux ou modifiés
   const documents = [];
+  const unchanged = [];
+  const fileEntries = {};
 
   for (const file of supportedFiles) {
     const filePath = path.join(DOCUMENTS_DIR, file);
-    let text = "";
 
     try {
+      const content = fs.readFileSync(filePath);
+      const hash = hashContent(content);
+
+      if (previousFiles[file]?.hash === hash) {
+        unchanged.push(file);
+        fileEntries[file] = previousFiles[file];
+        continue;
+      }
+
       console.log(`📄 Lecture de: ${file}`);
-      text = fs.readFileSync(filePath, "utf-8");
+      const sections = await extractSections(file, content);
 
-      // Nettoyer le texte
-      text = text.replace(/\s+/g, " ").trim();
+      // Découper selon la structure du document (sections, issues), chaque
+      // chunk gardant sa page / diapositive
+      const chunks = chunkDocument(sections, {
+        filename: file,
+        chunkSize: CHUNK_SIZE,
+        overlap: CHUNK_OVERLAP,
+      });
 
-      if (text.length > 0) {
+      if (chunks.length > 0) {
         documents.push({
           filename: file,
-          text: text,
-          chunks: chunkText(text),
+          hash,
+          chunks,
         });
-        console.log(`   ✅ ${text.length} caractères extraits`);
+        const length = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+        console.log(`   ✅ ${chunks.length} chunks (${length} caractères)`);
       } else {
         console.log(`   ⚠️  Aucun texte extrait`);
       }
@@ -84,75 +136,158 @@ async function processDocuments() {
     }
   }
 
+  // Fichiers indexés qui ne sont plus dans le dossier
+  const deleted = (await db.collection(CHUNKS_COLLECTION).distinct("filename")).filter(
+    (file) => !supportedFiles.includes(file),
+  );
+
   console.log(
-    `\n📝 Total: ${documents.reduce((sum, doc) => sum + doc.chunks.length, 0)} morceaux de texte créés`,
+    `\n📋 ${documents.length} nouveau(x) ou modifié(s), ${unchanged.length} inchangé(s), ${deleted.length} supprimé(s)`,
   );
 
+  if (existing && documents.length === 0 && deleted.length === 0) {
+    console.log("✅ Index à jour, rien à faire");
+    return;
+  }
+
+  const totalToEmbed = documents.reduce((sum, doc) => sum + doc.chunks.length, 0);
+  console.log(`\n📝 Total: ${totalToEmbed} morceaux de texte à embedder`);
+
   // Créer les embeddings
   console.log(
     "\n🧠 Création des embeddings (cela peut prendre quelques minutes)...",
   );
+  console.log(`   Modèle: ${EMBEDDING_MODEL}`);
 
-  const embedder = await pipeline(
-    "feature-extraction",
-    "Xenova/all-MiniLM-L6-v2",
-  );
-
-  const embeddedDocuments = [];
+  let dimensions = existing?.dimensions ?? null;
   let processedChunks = 0;
 
   for (const doc of documents) {
     console.log(`\n📌 Traitement: ${doc.filename}`);
+    const embeddedChunks = [];
+    let failed = false;
 
     for (let i = 0; i < doc.chunks.length; i++) {
       const chunk = doc.chunks[i];
 
       try {
-        const output = await embedder(chunk, {
-          pooling: "mean",
-          normalize: true,
-        });
-        const embedding = Array.from(output.data);
+        const embedding = await embedText(getEmbeddingText(chunk), EMBEDDING_MODEL);
+
+        // Tous les vecteurs doivent avoir la même dimension (celle du modèle)
+        dimensions ??= embedding.length;
+        if (embedding.length !== dimensions) {
+          throw new Error(`Embedding de dimension ${embedding.length} (attendu: ${dimensions})`);
+        }
 
-        embeddedDocuments.push({
-          filename: doc.filename,
+        embeddedChunks.push({
           chunkIndex: i,
-          text: chunk,
+          ...(chunk.page !== undefined && { page: chunk.page }),
+          ...(chunk.slide !== undefined && { slide: chunk.slide }),
+          section: chunk.section,
+          component: chunk.component,
+          version: chunk.version,
+          issueIds: chunk.issueIds,
+          text: chunk.text,
           embedding: embedding,
         });
 
         processedChunks++;
         process.stdout.write(
-          `   Progression: ${processedChunks}/${documents.reduce((sum, d) => sum + d.chunks.length, 0)}\r`,
+          `   Progression: ${processedChunks}/${totalToEmbed}\r`,
         );
       } catch (error) {
+        failed = true;
         console.error(`\n   ❌ Erreur sur le morceau ${i}: ${error.message}`);
       }
     }
+
+    // Un fichier incomplet est retiré de l'index et sera repris au
+    // prochain passage
+    if (failed) {
+      await deleteFileChunks(db, doc.filename);
+      continue;
+    }
+
+    await replaceFileChunks(db, doc.filename, embeddedChunks);
+    fileEntries[doc.filename] = {
+      hash: doc.hash,
+      chunks: doc.chunks.length,
+      indexedAt: new Date(),
+    };
+  }
+
+  for (const file of deleted) {
+    console.log(`\n🗑️  Suppression des chunks de: ${file}`);
+    await deleteFileChunks(db, file);
   }
 
   console.log("\n");
 
-  // Sauvegarder les embeddings
-  console.log("💾 Sauvegarde des embeddings...");
-  fs.writeFileSync(
-    OUTPUT_FILE,
-    JSON.stringify(
-      {
-        createdAt: new Date().toISOString(),
-        totalDocuments: documents.length,
-        totalChunks: embeddedDocuments.length,
-        documents: embeddedDocuments,
-      },
-      null,
-      2,
-    ),
-  );
+  // Enregistrer les métadonnées de l'index
+  console.log("💾 Sauvegarde des métadonnées de l'index...");
+  const totalChunks = await db.collection(CHUNKS_COLLECTION).countDocuments();
+  await saveIndexMeta(db, {
+    createdAt: existing?.createdAt ?? new Date(),
+    updatedAt: new Date(),
+    embeddingModel: EMBEDDING_MODEL,
+    dimensions,
+    chunking: { size: CHUNK_SIZE, overlap: CHUNK_OVERLAP },
+    totalDocuments: Object.keys(fileEntries).length,
+    totalChunks,
+    files: fileEntries,
+  });
 
-  const fileSize = (fs.statSync(OUTPUT_FILE).size / 1024 / 1024).toFixed(2);
-  console.log(`✅ Fichier créé: ${OUTPUT_FILE} (${fileSize} MB)`);
+  console.log(`✅ ${totalChunks} chunks dans la collection ${CHUNKS_COLLECTION}`);
   console.log("\n🎉 Traitement terminé avec succès!");
 }
 
+// Surveille le dossier documents/ et ré-indexe après chaque changement
+// (les événements rapprochés sont regroupés)
+function watchDocuments(db) {
+  let timer = null;
+  let running = Promise.resolve();
+
+  console.log(`\n👀 Surveillance de ${DOCUMENTS_DIR} (Ctrl+C pour arrêter)`);
+
+  fs.watch(DOCUMENTS_DIR, (eventType, filename) => {
+    if (filename && !isSupported(filename)) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      console.log(`\n🔔 Changement détecté: ${filename ?? DOCUMENTS_DIR}`);
+      running = running
+        .then(() => processDocuments(db))
+        .catch((error) => console.error("❌ Erreur lors de la ré-indexation:", error));
+    }, WATCH_DELAY);
+  });
+}
+
 // Exécuter
-processDocuments().catch(console.error);
+async function main() {
+  const args = process.argv.slice(2);
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+  const db = client.db(DB_NAME);
+
+  try {
+    await ensureChunkIndexes(db);
+    await processDocuments(db, { full: args.includes("--full") });
+  } catch (error) {
+    await client.close();
+    throw error;
+  }
+
+  if (args.includes("--watch")) {
+    watchDocuments(db);
+  } else {
+    await client.close();
+  }
+}
+
+// Exécuter seulement en ligne de commande (pas à l'import par le serveur)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error("❌ Erreur lors du traitement des documents:", error);
+    process.exit(1);
+  });
+}
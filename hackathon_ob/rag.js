@@ -0,0 +1,140 @@
+// Question-réponse sur la base documentaire (RAG)
+// Les chunks et leurs embeddings sont lus dans la collection "chunks"
+// (alimentée par process-documents.js) ; la recherche combine similarité
+// vectorielle, BM25 et correspondance exacte des versions et issues.
+
+import { getLlmBackend } from "./llm.js";
+import { EMBEDDING_MODEL } from "./embedder.js";
+import { getIndexMeta } from "./vector-store.js";
+import { hybridSearch } from "./hybrid-search.js";
+
+export const DEFAULT_TOP_K = 5;
+
+/**
+ * Retourne les topK chunks les plus pertinents pour la question (recherche
+ * hybride), éventuellement restreints par un filtre (fichier, version, section).
+ */
+export async function retrieveChunks(
+  db,
+  question,
+  queryEmbedding,
+  { topK = DEFAULT_TOP_K, filter } = {},
+) {
+  const chunks = await hybridSearch(db, { query: question, queryEmbedding, topK, filter });
+  return chunks.map((chunk) => ({
+    filename: chunk.filename,
+    chunkIndex: chunk.chunkIndex,
+    page: chunk.page ?? null,
+    slide: chunk.slide ?? null,
+    source: formatSource(chunk),
+    section: chunk.section ?? null,
+    version: chunk.version ?? null,
+    issueIds: chunk.issueIds ?? [],
+    text: chunk.text,
+    score: chunk.score,
+    vectorScore: chunk.vectorScore,
+    bm25Score: chunk.bm25Score,
+    exactMatch: chunk.exactMatch,
+  }));
+}
+
+/**
+ * Libellé de la source d'un chunk : fichier et page (PDF) ou diapositive
+ * (PPTX), ex. "6.4.1-Release-Notes.pdf p.37".
+ */
+export function formatSource(chunk) {
+  if (chunk.page) return `${chunk.filename} p.${chunk.page}`;
+  if (chunk.slide) return `${chunk.filename} diapo ${chunk.slide}`;
+  return chunk.filename;
+}
+
+const round = (score) => Math.round(score * 10000) / 10000;
+
+export function buildPrompt(question, chunks) {
+  const context = chunks
+    .map((chunk, i) => {
+      const section = chunk.section ? ` - ${chunk.section}` : "";
+      return `[Source ${i + 1}: ${chunk.source}${section}]\n${chunk.text}`;
+    })
+    .join("\n\n");
+
+  return `Contexte basé sur les documents SD-WAN:
+${context}
+
+Question: ${question}
+
+Réponds en français de manière précise et concise en te basant uniquement sur le contexte fourni. Si le contexte ne contient pas l'information, dis-le clairement.`;
+}
+
+/**
+ * Répond à une question : embedding, recherche des chunks, génération.
+ * Le modèle d'embedding doit être celui de l'index (sinon erreur).
+ * Si le backend LLM échoue, les passages sont restitués par le backend stub.
+ */
+export async function answerQuestion({
+  db,
+  question,
+  topK = DEFAULT_TOP_K,
+  filter,
+  embed,
+  embeddingModel = EMBEDDING_MODEL,
+  backend,
+}) {
+  const meta = await getIndexMeta(db);
+  if (!meta) {
+    throw new Error("Aucun document indexé : lancez process-documents.js");
+  }
+  if (meta.embeddingModel !== embeddingModel) {
+    throw new Error(
+      `Modèle d'embedding incompatible: index "${meta.embeddingModel}", requête "${embeddingModel}" (relancez process-documents.js)`,
+    );
+  }
+
+  const queryEmbedding = await embed(question, embeddingModel);
+  if (queryEmbedding.length !== meta.dimensions) {
+    throw new Error(
+      `Dimension d'embedding incompatible: index ${meta.dimensions}, requête ${queryEmbedding.length}`,
+    );
+  }
+  const chunks = await retrieveChunks(db, question, queryEmbedding, { topK, filter });
+
+  const llm = getLlmBackend(backend);
+  const prompt = buildPrompt(question, chunks);
+
+  let answer;
+  let usedBackend = llm;
+  let fallbackReason = null;
+  try {
+    answer = await llm.generate(prompt, chunks);
+  } catch (error) {
+    usedBackend = getLlmBackend("stub");
+    fallbackReason = error.message;
+    answer = await usedBackend.generate(prompt, chunks);
+  }
+
+  return {
+    question,
+    answer,
+    embeddingModel: meta.embeddingModel,
+    llm: {
+      backend: usedBackend.name,
+      model: usedBackend.model,
+      fallbackReason,
+    },
+    citations: chunks.map((chunk) => ({
+      filename: chunk.filename,
+      chunkIndex: chunk.chunkIndex,
+      page: chunk.page,
+      slide: chunk.slide,
+      source: chunk.source,
+      section: chunk.section,
+      version: chunk.version,
+      issueIds: chunk.issueIds,
+      score: round(chunk.score),
+      vectorScore: chunk.vectorScore === null ? null : round(chunk.vectorScore),
+      bm25Score: chunk.bm25Score === null ? null : round(chunk.bm25Score),
+      exactMatch: chunk.exactMatch,
+      excerpt: chunk.text.substring(0, 300),
+    })),
+  };
+}
@@ -0,0 +1,54 @@
+// Catalogue des releases logicielles
+// Une entrée de la collection "releases" décrit une release (5.2.3, 6.4.1)
+// ou toute une version majeure (4 pour la 4.x) : statut LTS/STS par
+// composant, support et dernier rollup connu d'après les release notes.
+
+import { compareVersions, matchesVersionPattern, parseVersion } from "./versions.js";
+
+export const RELEASES_COLLECTION = "releases";
+
+/**
+ * Entrée du catalogue couvrant une version : la plus précise ("5.2.3"
+ * plutôt que "5"). null si aucune ne la couvre.
+ */
+export function findRelease(releases, version) {
+  if (!parseVersion(version)) return null;
+
+  return (
+    releases
+      .filter((r) => matchesVersionPattern(version, r.release))
+      .sort((a, b) => parseVersion(b.release).parts.length - parseVersion(a.release).parts.length)[0] ??
+    null
+  );
+}
+
+/**
+ * Trie les entrées du catalogue par version croissante.
+ */
+export function sortReleases(releases) {
+  return [...releases].sort((a, b) => compareVersions(a.release, b.release));
+}
+
+/**
+ * Informations de release d'un Edge en `version` : type de release, LTS,
+ * support, dernier rollup de sa release et s'il y est déjà.
+ * Une version absente du catalogue est supportée à partir de la 5.x.
+ */
+export function getVersionRelease(releases, version) {
+  const parsed = parseVersion(version);
+  if (!parsed) return null;
+
+  const entry = findRelease(releases, version);
+  const releaseType = entry ? entry.edge : parsed.major >= 5 ? "STS" : null;
+  const latestRollup = entry?.latestRollup ?? null;
+
+  return {
+    release: entry?.release ?? null,
+    releaseType,
+    isLts: releaseType === "LTS",
+    supported: entry ? entry.supported : parsed.major >= 5,
+    endOfSupportDate: entry?.endOfSupportDate ?? null,
+    latestRollup,
+    upToDate: latestRollup ? compareVersions(version, latestRollup) >= 0 : null,
+  };
+}
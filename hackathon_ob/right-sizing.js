@@ -0,0 +1,122 @@
+// Recommandation du modèle de remplacement (right-sizing)
+// Compare les valeurs maximales mesurées d'un host aux spécifications des
+// modèles candidats et retient le plus petit modèle qui tient la charge.
+
+import { DIMENSIONS, getMeasured, getCapacity } from "./capacity.js";
+
+// Marge appliquée aux valeurs mesurées (15 %)
+export const DEFAULT_HEADROOM = 0.15;
+
+/**
+ * Modèles candidats : Edges au statut CURRENT (ni en fin de
+ * commercialisation ni proches de la fin de support) dont toutes les
+ * spécifications sont connues, du plus petit au plus grand (débit puis nom).
+ */
+export function getCandidateModels(models) {
+  return models
+    .filter(
+      (m) =>
+        (m.type ?? "Edge") === "Edge" &&
+        (m.status ?? "CURRENT") === "CURRENT" &&
+        DIMENSIONS.every((d) => getCapacity(m, d) !== null),
+    )
+    .sort(
+      (a, b) =>
+        a.specifications.maxThroughput - b.specifications.maxThroughput ||
+        a.model.localeCompare(b.model),
+    );
+}
+
+/**
+ * Taux d'utilisation de chaque dimension d'un host sur un modèle donné
+ * (besoin avec marge / capacité). Les ports sont comptés sans marge.
+ */
+function evaluateModel(host, model, headroom) {
+  return DIMENSIONS.map((d) => {
+    const measured = getMeasured(host, d);
+    const capacity = getCapacity(model, d);
+    const required =
+      measured === null ? null : d.isPort ? measured : measured * (1 + headroom);
+
+    return {
+      dimension: d.key,
+      label: d.label,
+      measured,
+      required,
+      capacity,
+      ratio: required === null ? null : required / capacity,
+    };
+  });
+}
+
+/**
+ * Recommande le plus petit modèle candidat qui couvre toutes les dimensions.
+ * Les dimensions limitantes sont celles qui excluent les modèles plus petits
+ * (ou le plus grand si aucun ne convient).
+ */
+export function recommendModel(host, candidates, headroom = DEFAULT_HEADROOM) {
+  const hasMeasures = DIMENSIONS.some((d) => getMeasured(host, d) !== null);
+  const base = {
+    host: host.host,
+    model: host.model,
+    studyTarget: host.target?.model ?? null,
+  };
+
+  if (!hasMeasures) {
+    return { ...base, recommended: null, reason: "Aucune valeur mesurée", limitingDimensions: [] };
+  }
+
+  const limiting = new Set();
+
+  for (const candidate of candidates) {
+    const dimensions = evaluateModel(host, candidate, headroom);
+    const exceeded = dimensions.filter((d) => d.ratio !== null && d.ratio > 1);
+
+    if (exceeded.length === 0) {
+      return {
+        ...base,
+        recommended: candidate.model,
+        matchesStudy: base.studyTarget ? base.studyTarget === candidate.model : null,
+        limitingDimensions: [...limiting],
+        dimensions,
+      };
+    }
+
+    exceeded.forEach((d) => limiting.add(d.dimension));
+  }
+
+  return {
+    ...base,
+    recommended: null,
+    reason: "Aucun modèle candidat ne couvre la charge mesurée",
+    limitingDimensions: [...limiting],
+  };
+}
+
+/**
+ * Recommandations pour toute la flotte, avec la répartition par modèle.
+ */
+export function recommendFleet(hosts, models, headroom = DEFAULT_HEADROOM) {
+  const candidates = getCandidateModels(models);
+  const recommendations = hosts.map((host) => recommendModel(host, candidates, headroom));
+
+  const byModel = {};
+  for (const r of recommendations) {
+    if (r.recommended) {
+      byModel[r.recommended] = (byModel[r.recommended] || 0) + 1;
+    }
+  }
+
+  return {
+    headroom,
+    candidates: candidates.map((m) => m.model),
+    summary: {
+      hosts: recommendations.length,
+      recommended: recommendations.filter((r) => r.recommended).length,
+      unresolved: recommendations.filter((r) => !r.recommended).length,
+      matchesStudy: recommendations.filter((r) => r.matchesStudy === true).length,
+      byModel,
+    },
+    recommendations,
+  };
+}
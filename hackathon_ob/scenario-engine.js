@@ -0,0 +1,286 @@
+// Moteur de scénarios de migration SD-WAN
+// Calcul pur (sans accès MongoDB) : les collections sont lues par server.js
+// puis passées à computeScenario().
+
+import { parseVersion } from "./versions.js";
+import { resolveUpgradePath } from "./upgrade-path.js";
+import { checkCompatibility } from "./compatibility.js";
+
+export const STRATEGIES = ["conservative", "performance"];
+
+// Coûts unitaires par défaut (en €), surchargeables via la requête. Les
+// forfaits de remplacement ne s'appliquent qu'aux cibles sans prix catalogue
+// dans la grille tarifaire (voir financial.js)
+export const DEFAULT_COSTS = {
+  eolReplacement: 2500,
+  performanceUpgrade: 3000,
+  incompatibleReplacement: 2000,
+  softwareUpgrade: 50,
+};
+
+// Seuil d'utilisation du débit au-delà duquel la stratégie "performance"
+// remplace l'équipement
+export const DEFAULT_THROUGHPUT_THRESHOLD = 0.7;
+
+export const ACTIONS = {
+  SOFTWARE_UPGRADE: "Mise à jour logicielle",
+  EOL_REPLACEMENT: "Remplacement Matériel (EOL)",
+  PERFORMANCE_UPGRADE: "Upgrade Performance",
+  INCOMPATIBLE_REPLACEMENT: "Remplacement (Version non supportée)",
+};
+
+// Version logicielle d'un host (le champ historique "version" est toléré)
+export function getHostVersion(host) {
+  return host.softwareVersion ?? host.version ?? null;
+}
+
+// Débit maximum d'un host : spécifications du modèle, sinon valeur du host
+function getMaxThroughput(host, model) {
+  return model?.specifications?.maxThroughput ?? host.maxTp ?? null;
+}
+
+/**
+ * Valide et normalise les paramètres d'un scénario ; les coûts absents
+ * prennent la valeur par défaut.
+ * Retourne { inputs, name } (name null si le scénario n'est pas nommé,
+ * donc pas enregistré) ou { error } si un paramètre est invalide.
+ */
+export function normalizeScenarioInputs(body = {}) {
+  const {
+    name,
+    targetVersion,
+    strategy = "conservative",
+    costs = {},
+    throughputThreshold = DEFAULT_THROUGHPUT_THRESHOLD,
+  } = body;
+
+  if (name !== undefined && (typeof name !== "string" || name.trim().length === 0)) {
+    return { error: "name doit être une chaîne non vide" };
+  }
+
+  if (typeof targetVersion !== "string" || !/^\d+(\.\d+)*$/.test(targetVersion)) {
+    return { error: "targetVersion doit être une version (ex. 6.4.0)" };
+  }
+
+  if (!STRATEGIES.includes(strategy)) {
+    return { error: `strategy doit valoir ${STRATEGIES.join(" ou ")}` };
+  }
+
+  if (typeof costs !== "object" || costs === null || Array.isArray(costs)) {
+    return { error: "costs doit être un objet" };
+  }
+
+  const mergedCosts = { ...DEFAULT_COSTS };
+  for (const [key, value] of Object.entries(costs)) {
+    if (!(key in DEFAULT_COSTS)) {
+      return { error: `Coût inconnu: ${key}` };
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      return { error: `Le coût ${key} doit être un nombre positif` };
+    }
+    mergedCosts[key] = value;
+  }
+
+  if (
+    typeof throughputThreshold !== "number" ||
+    throughputThreshold <= 0 ||
+    throughputThreshold > 1
+  ) {
+    return { error: "throughputThreshold doit être compris entre 0 et 1" };
+  }
+
+  return {
+    inputs: {
+      targetVersion,
+      strategy,
+      costs: mergedCosts,
+      throughputThreshold,
+    },
+    name: name === undefined ? null : name.trim(),
+  };
+}
+
+/**
+ * Calcule l'action de migration de chaque host pour une version cible.
+ * La compatibilité modèle / version provient de la collection compatibility.
+ * Un remplacement vers un modèle présent dans la grille tarifaire `prices`
+ * (indexPricing) coûte son prix catalogue plus la pose, sinon le forfait.
+ * Retourne les actions par host, les totaux et les blocages regroupés.
+ */
+export function computeScenario({
+  hosts,
+  models,
+  versionPaths = [],
+  compatibility = [],
+  inputs,
+  prices = null,
+  releases = [],
+}) {
+  const { targetVersion, strategy, costs, throughputThreshold } = inputs;
+  const modelsByName = new Map(models.map((m) => [m.model, m]));
+  const compatibilityByModel = new Map(compatibility.map((c) => [c.model, c]));
+
+  const replacementCost = (target, flatCost) =>
+    prices?.hardware.has(target)
+      ? prices.hardware.get(target) + (prices.labor.get("hardwareReplacement") ?? 0)
+      : flatCost;
+
+  const actions = hosts.map((host) => {
+    const model = modelsByName.get(host.model);
+    const version = getHostVersion(host);
+    const maxThroughput = getMaxThroughput(host, model);
+    const utilization =
+      maxThroughput && host.throughput != null
+        ? host.throughput / maxThroughput
+        : null;
+
+    let action = ACTIONS.SOFTWARE_UPGRADE;
+    let target = targetVersion;
+    let cost = costs.softwareUpgrade;
+    let isBlocker = false;
+    let assumption = false;
+    const compatibilityCheck = checkCompatibility(
+      compatibilityByModel.get(host.model),
+      targetVersion,
+    );
+
+    // 1. Matériel en fin de vie
+    if (model && model.status === "EOL") {
+      action = ACTIONS.EOL_REPLACEMENT;
+      target = model.replacement || null;
+      cost = replacementCost(target, costs.eolReplacement);
+      isBlocker = true;
+    }
+    // 2. Capacité (stratégie performance uniquement)
+    else if (
+      strategy === "performance" &&
+      utilization !== null &&
+      utilization > throughputThreshold
+    ) {
+      action = ACTIONS.PERFORMANCE_UPGRADE;
+      target = model?.replacement || "Edge Supérieur";
+      cost = replacementCost(target, costs.performanceUpgrade);
+      isBlocker = true;
+    }
+    // 3. Compatibilité logicielle (matrice compatibility) ; une borne
+    // supposée est signalée avec l'action
+    else if (!compatibilityCheck.supported) {
+      action = ACTIONS.INCOMPATIBLE_REPLACEMENT;
+      target = model?.replacement || null;
+      cost = replacementCost(target, costs.incompatibleReplacement);
+      isBlocker = true;
+      assumption = compatibilityCheck.assumption;
+    }
+
+    // Chaîne de versions intermédiaires jusqu'à la cible
+    let upgradePath = null;
+    if (!isBlocker && parseVersion(version)) {
+      const { found, steps } = resolveUpgradePath(
+        versionPaths,
+        version,
+        targetVersion,
+        releases,
+      );
+      if (found) {
+        upgradePath = steps.map((step) => ({
+          version: step.version,
+          releaseType: step.releaseType,
+        }));
+      }
+    }
+
+    return {
+      host: host.host,
+      model: host.model,
+      version,
+      utilization: utilization !== null ? Math.round(utilization * 100) : null,
+      action,
+      target,
+      cost,
+      isBlocker,
+      assumption,
+      upgradePath,
+    };
+  });
+
+  const blockerActions = actions.filter((a) => a.isBlocker);
+
+  const totals = {
+    hosts: actions.length,
+    compatible: actions.length - blockerActions.length,
+    replace: blockerActions.length,
+    totalCost: actions.reduce((sum, a) => sum + a.cost, 0),
+  };
+
+  // Regrouper les blocages par type d'action
+  const blockersByAction = new Map();
+  for (const a of blockerActions) {
+    if (!blockersByAction.has(a.action)) {
+      blockersByAction.set(a.action, { action: a.action, count: 0, hosts: [] });
+    }
+    const group = blockersByAction.get(a.action);
+    group.count++;
+    group.hosts.push(a.host);
+  }
+
+  return {
+    inputs,
+    totals,
+    blockers: [...blockersByAction.values()],
+    actions,
+  };
+}
+
+/**
+ * Compare deux scénarios enregistrés host par host.
+ * Seuls les hosts dont l'action, la cible ou le coût diffère sont retournés.
+ */
+export function compareScenarios(a, b) {
+  const actionsA = new Map(a.actions.map((action) => [action.host, action]));
+  const actionsB = new Map(b.actions.map((action) => [action.host, action]));
+  const hostnames = [...new Set([...actionsA.keys(), ...actionsB.keys()])].sort();
+
+  const changes = [];
+  for (const host of hostnames) {
+    const before = actionsA.get(host) || null;
+    const after = actionsB.get(host) || null;
+
+    if (
+      before &&
+      after &&
+      before.action === after.action &&
+      before.target === after.target &&
+      before.cost === after.cost
+    ) {
+      continue;
+    }
+
+    changes.push({
+      host,
+      model: (before || after).model,
+      a: before && {
+        action: before.action,
+        target: before.target,
+        cost: before.cost,
+      },
+      b: after && {
+        action: after.action,
+        target: after.target,
+        cost: after.cost,
+      },
+      costDelta: (after?.cost ?? 0) - (before?.cost ?? 0),
+    });
+  }
+
+  return {
+    a: { _id: a._id, name: a.name, inputs: a.inputs, totals: a.totals },
+    b: { _id: b._id, name: b.name, inputs: b.inputs, totals: b.totals },
+    totalsDelta: {
+      compatible: b.totals.compatible - a.totals.compatible,
+      replace: b.totals.replace - a.totals.replace,
+      totalCost: b.totals.totalCost - a.totals.totalCost,
+    },
+    changedHosts: changes.length,
+    changes,
+  };
+}
@@ -1,10 +1,80 @@
 import express from "express";
-import { MongoClient } from "mongodb";
+import { MongoClient, ObjectId } from "mongodb";
 import { config } from "dotenv";
+import { fileURLToPath } from "url";
 import cors from "cors";
-import { readFile } from "fs/promises";
 import swaggerUi from "swagger-ui-express";
 import { swaggerSpec } from "./swagger.js";
+import { createValidator } from "./validation.js";
+import { createAuth, parseApiKeys, API_KEY_HEADER } from "./auth.js";
+import {
+  normalizeScenarioInputs,
+  computeScenario,
+  compareScenarios,
+  getHostVersion,
+} from "./scenario-engine.js";
+import { resolveUpgradePath } from "./upgrade-path.js";
+import {
+  parseVersion,
+  parseVersionPattern,
+  compareVersions,
+  compareVersionRanges,
+  getTrain,
+  matchesVersionFilter,
+} from "./versions.js";
+import { checkCompatibility } from "./compatibility.js";
+import { computeUtilization, summarizeUtilization } from "./capacity.js";
+import { answerQuestion, DEFAULT_TOP_K } from "./rag.js";
+import { embedText } from "./embedder.js";
+import {
+  CHUNKS_COLLECTION,
+  buildChunkFilter,
+  getIndexMeta,
+} from "./vector-store.js";
+import { ISSUES_COLLECTION, buildIssueFilter, filterIssues } from "./issues.js";
+import { buildUpgradeReport } from "./upgrade-report.js";
+import {
+  RELEASES_COLLECTION,
+  findRelease,
+  getVersionRelease,
+  sortReleases,
+} from "./releases.js";
+import {
+  DEFAULT_APPROACHING_DAYS,
+  buildLifecycleTimeline,
+  getLifecycle,
+  getLifecycleStatus,
+} from "./lifecycle.js";
+import {
+  DEFAULT_HEADROOM,
+  getCandidateModels,
+  recommendModel,
+  recommendFleet,
+} from "./right-sizing.js";
+import { processDocuments } from "./process-documents.js";
+import {
+  buildChange,
+  recordChanges,
+  findDocumentsAsOf,
+  findHistory,
+} from "./changes.js";
+import {
+  HOST_COLUMNS,
+  MODEL_COLUMNS,
+  SCENARIO_ACTION_COLUMNS,
+  INVALID_EXPORT_FORMAT,
+  getExportFormat,
+  sendExport,
+} from "./export.js";
+import {
+  PRICING_COLLECTION,
+  EDITIONS,
+  DEFAULT_EDITION,
+  DEFAULT_YEARS,
+  indexPricing,
+  getScenarioCosts,
+  computeTco,
+} from "./financial.js";
 
 // Charger les variables d'environnement
 config();
@@ -13,11 +83,40 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017";
 const DB_NAME = "sdwan_fleet";
+const APPROACHING_EOL_DAYS = Number(
+  process.env.APPROACHING_EOL_DAYS ?? DEFAULT_APPROACHING_DAYS,
+);
+
+// Origines autorisées pour les appels cross-origin (CORS_ORIGINS, séparées
+// par des virgules) ; aucune par défaut : le tableau de bord est servi par
+// l'API elle-même (/dashboard)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS ?? "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Authentification par clé d'API (API_KEYS) ou jeton JWT (JWT_SECRET)
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const { authenticate, requireRole } = createAuth({ apiKeys: API_KEYS, jwtSecret: JWT_SECRET });
 
 // Middleware
-app.use(cors());
+app.use(
+  cors({
+    origin: CORS_ORIGINS,
+    allowedHeaders: ["Content-Type", "Authorization", API_KEY_HEADER],
+    exposedHeaders: ["Content-Disposition"],
+  }),
+);
 app.use(express.json());
 
+// Données d'inventaire et de coûts confidentielles : toutes les routes de
+// données exigent un appelant authentifié (rôle viewer au minimum)
+app.use(["/api", "/embeddings"], authenticate);
+
+// Validation des paramètres d'après les définitions OpenAPI des routes
+const validate = createValidator(swaggerSpec);
+
 // Connexion MongoDB
 let db;
 const client = new MongoClient(MONGO_URI);
@@ -33,10 +132,184 @@ async function connectDB() {
   }
 }
 
+// Lecture du paramètre de marge (headroom) des recommandations
+function parseHeadroom(value) {
+  if (value === undefined) return DEFAULT_HEADROOM;
+  const headroom = Number(value);
+  return Number.isFinite(headroom) && headroom >= 0 && headroom <= 1
+    ? headroom
+    : null;
+}
+
+// Lecture des paramètres de cycle de vie : date de référence (asOf,
+// AAAA-MM-JJ ou date-heure ISO 8601, maintenant par défaut) et fenêtre en jours avant la fin de
+// support (approachingDays). null si l'un d'eux est invalide.
+function parseLifecycleOptions({ asOf, approachingDays }) {
+  const options = { asOf: new Date(), approachingDays: APPROACHING_EOL_DAYS };
+
+  if (asOf !== undefined) {
+    const date = new Date(asOf);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(asOf) || Number.isNaN(date.getTime())) return null;
+    options.asOf = date;
+  }
+  if (approachingDays !== undefined) {
+    const days = Number(approachingDays);
+    if (!Number.isInteger(days) || days < 0) return null;
+    options.approachingDays = days;
+  }
+  return options;
+}
+
+const INVALID_LIFECYCLE_OPTIONS = {
+  success: false,
+  error: "Paramètres de cycle de vie invalides",
+  message: "asOf doit être une date (AAAA-MM-JJ ou date-heure ISO 8601) et approachingDays un entier positif",
+};
+
+// Modèles avec leur statut de cycle de vie calculé à la date de référence
+async function getModels(lifecycleOptions = parseLifecycleOptions({})) {
+  const models = await db.collection("models").find().toArray();
+  return models.map((model) => ({
+    ...model,
+    status: getLifecycleStatus(model, lifecycleOptions),
+  }));
+}
+
+// Grille tarifaire, triée par clé (catégorie:élément)
+async function getPricing() {
+  return db.collection(PRICING_COLLECTION).find().sort({ key: 1 }).toArray();
+}
+
+// Noms de modèles référencés (null ignorés) absents de la collection models
+async function findUnknownModels(names) {
+  const referenced = [...new Set(names.filter(Boolean))];
+  if (referenced.length === 0) return [];
+
+  const known = await db
+    .collection("models")
+    .find({ model: { $in: referenced } }, { projection: { model: 1 } })
+    .toArray();
+  const knownNames = new Set(known.map((m) => m.model));
+  return referenced.filter((name) => !knownNames.has(name));
+}
+
+function unknownModelsError(unknown) {
+  return {
+    success: false,
+    error: "Modèle inconnu",
+    message: `Modèle(s) absent(s) de la collection models : ${unknown.join(", ")}`,
+  };
+}
+
+// Contrôles d'écriture d'un host (le corps est déjà validé par le schéma) :
+// nom cohérent avec le chemin, modèle et modèle cible existants.
+// Retourne { status, body } si l'écriture est refusée, sinon null.
+async function checkHostWrite(hostname, body) {
+  if (body.host !== undefined && body.host !== hostname) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Nom d'hôte incohérent",
+        message: `Le champ host (${body.host}) diffère du chemin (${hostname})`,
+      },
+    };
+  }
+
+  const unknown = await findUnknownModels([body.model, body.target?.model]);
+  return unknown.length > 0 ? { status: 422, body: unknownModelsError(unknown) } : null;
+}
+
+// Contrôles d'écriture d'un modèle : nom cohérent avec le chemin, modèle
+// de remplacement (ou le modèle lui-même) et alternatives existants.
+// Retourne { status, body } si l'écriture est refusée, sinon null.
+async function checkModelWrite(modelName, body) {
+  if (body.model !== undefined && body.model !== modelName) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Nom de modèle incohérent",
+        message: `Le champ model (${body.model}) diffère du chemin (${modelName})`,
+      },
+    };
+  }
+
+  const replacement = body.replacement === modelName ? null : body.replacement;
+  const alternatives = (body.alternatives ?? []).filter((name) => name !== modelName);
+  const unknown = await findUnknownModels([replacement, ...alternatives]);
+  return unknown.length > 0 ? { status: 422, body: unknownModelsError(unknown) } : null;
+}
+
+// Historise l'écriture d'un host ou d'un modèle par l'appelant authentifié
+function recordChange(req, collection, key, before, after) {
+  return recordChanges(db, [buildChange({ collection, key, before, after, user: req.user.name })]);
+}
+
+// Champs d'un host déduits s'ils ne sont pas fournis (comme à l'import)
+function hostDefaults(hostname, body, model) {
+  return {
+    host: hostname,
+    name: body.name ?? hostname,
+    type: body.type ?? model?.type ?? "Edge",
+  };
+}
+
+// Compare les versions logicielles de deux hosts dans l'ordre demandé (1 ou
+// -1), les versions illisibles toujours en dernier
+function compareHostVersions(a, b, order = 1) {
+  const va = getHostVersion(a);
+  const vb = getHostVersion(b);
+  if (!parseVersion(va) || !parseVersion(vb)) {
+    return (parseVersion(va) ? 0 : 1) - (parseVersion(vb) ? 0 : 1);
+  }
+  return order * compareVersions(va, vb);
+}
+
+// Tri en mémoire sur un champ dans l'ordre demandé (1 ou -1), comme le tri
+// MongoDB : valeurs absentes avant les autres
+function compareByField(field, order = 1) {
+  return (a, b) => {
+    const x = a[field] ?? null;
+    const y = b[field] ?? null;
+    if (x === y) return 0;
+    if (x === null) return -order;
+    if (y === null) return order;
+    return order * (x < y ? -1 : 1);
+  };
+}
+
+// Ajoute à chaque host son utilisation calculée sur les spécifications de son
+// modèle, le cycle de vie de son modèle à la date de référence et les
+// informations de release de sa version logicielle. `models` remplace la
+// collection models pour un état passé de l'inventaire.
+// createHostEnricher charge modèles et releases une fois et retourne la
+// fonction d'enrichissement d'un host (export au fil d'un curseur).
+async function createHostEnricher(lifecycleOptions = parseLifecycleOptions({}), models = null) {
+  const [modelDocs, releases] = await Promise.all([
+    models ?? db.collection("models").find().toArray(),
+    db.collection(RELEASES_COLLECTION).find().toArray(),
+  ]);
+  const modelsByName = new Map(modelDocs.map((m) => [m.model, m]));
+
+  return (host) => ({
+    ...host,
+    utilizationMetrics: computeUtilization(host, modelsByName.get(host.model)),
+    lifecycle: getLifecycle(modelsByName.get(host.model), lifecycleOptions),
+    release: getVersionRelease(releases, getHostVersion(host)),
+  });
+}
+
+async function enrichHosts(hosts, lifecycleOptions = parseLifecycleOptions({}), models = null) {
+  const enrichHost = await createHostEnricher(lifecycleOptions, models);
+  return hosts.map((host) => enrichHost(host));
+}
+
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: '.swagger-ui .topbar { display: none }',
   customSiteTitle: "SD-WAN API Documentation",
+  swaggerOptions: { persistAuthorization: true },
 }));
 
 /**
@@ -60,6 +333,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
  *                   type: string
  *                 endpoints:
  *                   type: object
+ *     security: []
  */
 // Route racine
 app.get("/", (req, res) => {
@@ -68,21 +342,41 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       swagger: "/api-docs",
+      dashboard: "/dashboard",
       embeddings: "/embeddings",
+      ask: "/api/ask",
+      chunks: "/api/chunks",
+      reindex: "/api/documents/reindex",
+      issues: "/api/issues",
       hosts: "/api/hosts",
       models: "/api/models",
+      lifecycleTimeline: "/api/lifecycle/timeline",
+      compatibility: "/api/compatibility",
       versionPaths: "/api/version-paths",
+      releases: "/api/releases",
+      upgradePath: "/api/upgrade-path",
+      scenarios: "/api/scenarios",
+      recommendations: "/api/recommendations",
+      pricing: "/api/pricing",
+      financialTco: "/api/financial/tco",
     },
   });
 });
 
+// Tableau de bord (page statique, sans données : elles sont chargées depuis
+// l'API avec la clé saisie par l'utilisateur)
+app.get("/dashboard", (req, res) => {
+  res.sendFile(fileURLToPath(new URL("./index.html", import.meta.url)));
+});
+
 /**
  * @swagger
  * /embeddings:
  *   get:
  *     summary: Récupère tous les embeddings
  *     tags: [Embeddings]
- *     description: Retourne le fichier embeddings.json utilisé pour le RAG
+ *     deprecated: true
+ *     description: Retourne tous les chunks et leurs vecteurs (collection chunks), au format de l'ancien fichier embeddings.json. Préférer /api/chunks, paginé et sans les vecteurs.
  *     responses:
  *       200:
  *         description: Liste des embeddings
@@ -95,8 +389,27 @@ app.get("/", (req, res) => {
  *                   type: boolean
  *                 count:
  *                   type: number
+ *                   description: Nombre de chunks
  *                 data:
- *                   type: array
+ *                   type: object
+ *                   properties:
+ *                     embeddingModel:
+ *                       type: string
+ *                       nullable: true
+ *                     dimensions:
+ *                       type: integer
+ *                       nullable: true
+ *                     documents:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Chunk'
+ *                           - type: object
+ *                             properties:
+ *                               embedding:
+ *                                 type: array
+ *                                 items:
+ *                                   type: number
  *       500:
  *         description: Erreur serveur
  *         content:
@@ -104,15 +417,24 @@ app.get("/", (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// Route pour servir le fichier embeddings.json
+// Route pour servir les embeddings (ancien format embeddings.json)
 app.get("/embeddings", async (req, res) => {
   try {
-    const data = await readFile("./embeddings.json", "utf-8");
-    const embeddings = JSON.parse(data);
+    const meta = await getIndexMeta(db);
+    const documents = await db
+      .collection(CHUNKS_COLLECTION)
+      .find({}, { projection: { _id: 0 } })
+      .sort({ filename: 1, chunkIndex: 1 })
+      .toArray();
+
     res.json({
       success: true,
-      count: embeddings.length,
-      data: embeddings,
+      count: documents.length,
+      data: {
+        embeddingModel: meta?.embeddingModel ?? null,
+        dimensions: meta?.dimensions ?? null,
+        documents,
+      },
     });
   } catch (error) {
     console.error("Erreur /embeddings:", error);
@@ -126,43 +448,291 @@ app.get("/embeddings", async (req, res) => {
 
 /**
  * @swagger
- * /api/hosts:
+ * /api/ask:
+ *   post:
+ *     summary: Pose une question à la base documentaire
+ *     tags: [RAG]
+ *     description: Recherche hybride côté serveur (similarité vectorielle, BM25 et correspondance exacte des versions et identifiants d'issues, fusionnés par Reciprocal Rank Fusion) puis génération d'une réponse avec le backend LLM configuré (LLM_BACKEND=ollama ou stub)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AskRequest'
+ *     responses:
+ *       200:
+ *         description: Réponse et sources citées
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AskResponse'
+ *       400:
+ *         description: Question, backend ou filtre invalide
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur (index absent, ou construit avec un autre modèle d'embedding)
+ */
+// Routes API - RAG
+app.post("/api/ask", validate, async (req, res) => {
+  try {
+    const { question, topK = DEFAULT_TOP_K, backend, ...filters } = req.body;
+
+    if (typeof question !== "string" || question.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Question invalide",
+        message: "question doit être une chaîne non vide",
+      });
+    }
+
+    const result = await answerQuestion({
+      db,
+      question: question.trim(),
+      topK,
+      filter: buildChunkFilter(filters),
+      embed: embedText,
+      backend,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Erreur /api/ask:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la recherche dans la base documentaire",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/chunks:
  *   get:
- *     summary: Récupère la liste des hôtes
- *     tags: [Hosts]
- *     description: Retourne tous les hôtes avec filtrage et tri optionnels
+ *     summary: Liste paginée des chunks indexés
+ *     tags: [Embeddings]
+ *     description: Chunks de la base documentaire (sans les vecteurs), triés par fichier puis position
  *     parameters:
  *       - in: query
- *         name: status
+ *         name: filename
  *         schema:
  *           type: string
- *           enum: [ok, warning, critical]
- *         description: Filtrer par statut
+ *         description: Filtrer par fichier source
  *       - in: query
- *         name: model
+ *         name: version
  *         schema:
  *           type: string
- *         description: Filtrer par modèle
+ *         description: Filtrer par version des release notes ("6.4" couvre 6.4 et 6.4.x)
+ *         example: '6.4.1'
  *       - in: query
- *         name: lifecycleStatus
+ *         name: section
  *         schema:
  *           type: string
- *           enum: [CURRENT, EOL, APPROACHING_EOL]
- *         description: Filtrer par statut de cycle de vie
+ *           enum: [New Features, Resolved Issues, Known Issues, Upgrade Notes, Compatibility, Revision History]
+ *         description: Filtrer par section
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *         description: Limiter le nombre de résultats
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Page de chunks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 page:
+ *                   type: number
+ *                 limit:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chunk'
+ *       400:
+ *         description: Filtre ou pagination invalide
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Routes API - CHUNKS
+app.get("/api/chunks", validate, async (req, res) => {
+  try {
+    const page = Number(req.query.page ?? 1);
+    const limit = Number(req.query.limit ?? 20);
+
+    const filter = buildChunkFilter(req.query);
+    const chunks = await db
+      .collection(CHUNKS_COLLECTION)
+      .find(filter, { projection: { _id: 0, embedding: 0 } })
+      .sort({ filename: 1, chunkIndex: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    const total = await db.collection(CHUNKS_COLLECTION).countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: chunks.length,
+      total,
+      page,
+      limit,
+      data: chunks,
+    });
+  } catch (error) {
+    console.error("Erreur /api/chunks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des chunks",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/documents/reindex:
+ *   post:
+ *     summary: Ré-indexe la base documentaire
+ *     tags: [Embeddings]
+ *     description: Lance en arrière-plan l'indexation incrémentale du dossier documents/ (comme npm run index). Rôle admin requis.
+ *     parameters:
  *       - in: query
- *         name: sort
+ *         name: full
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Ré-embedder tous les fichiers (ignore l'index existant)
+ *     responses:
+ *       202:
+ *         description: Ré-indexation lancée
+ *       400:
+ *         description: Paramètres invalides
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Ré-indexation déjà en cours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Routes API - INDEXATION
+// Une seule ré-indexation à la fois
+let reindexing = null;
+
+app.post("/api/documents/reindex", requireRole("admin"), validate, (req, res) => {
+  if (reindexing) {
+    return res.status(409).json({
+      success: false,
+      error: "Ré-indexation déjà en cours",
+      message: `Lancée par ${reindexing.user} le ${reindexing.startedAt.toISOString()}`,
+    });
+  }
+
+  const full = req.query.full === "true";
+  reindexing = { user: req.user.name, startedAt: new Date() };
+  console.log(`🔄 Ré-indexation${full ? " complète" : ""} demandée par ${req.user.name}`);
+
+  processDocuments(db, { full })
+    .catch((error) => console.error("❌ Erreur lors de la ré-indexation:", error))
+    .finally(() => {
+      reindexing = null;
+    });
+
+  res.status(202).json({
+    success: true,
+    data: { full, ...reindexing },
+  });
+});
+
+/**
+ * @swagger
+ * /api/issues:
+ *   get:
+ *     summary: Recherche dans les issues des release notes
+ *     tags: [Issues]
+ *     description: Issues résolues et connues extraites des release notes (node extract-issues.js). Les issues connues de la 6.1.3 corrigées par la 6.4.1 s'obtiennent avec ?affects=6.1.3&fixedBy=6.4.1
+ *     parameters:
+ *       - in: query
+ *         name: version
  *         schema:
  *           type: string
- *         description: 'Trier les résultats (format: champ:asc ou champ:desc)'
- *         example: 'throughput:desc'
+ *         description: Version des release notes ("6.4" couvre 6.4.0 et 6.4.1)
+ *         example: '6.1'
+ *       - in: query
+ *         name: component
+ *         schema:
+ *           type: string
+ *           enum: [Edge/Gateway, Edge, Gateway, Orchestrator, unassigned]
+ *         description: Composant ("Edge" couvre les issues Edge/Gateway). Les issues sans composant identifié (component null) ne sont couvertes par aucun composant et s'obtiennent avec unassigned
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [resolved, known]
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Identifiant d'issue ou texte recherché dans la description
+ *         example: 'BGP'
+ *       - in: query
+ *         name: affects
+ *         schema:
+ *           type: string
+ *         description: Issues connues d'une version du même train, au plus égale, non corrigées à cette version
+ *         example: '6.1.3'
+ *       - in: query
+ *         name: fixedBy
+ *         schema:
+ *           type: string
+ *         description: Issues corrigées au plus tard par cette version (rollups compris)
+ *         example: '6.4.1'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Limiter le nombre de résultats
  *     responses:
  *       200:
- *         description: Liste des hôtes
+ *         description: Issues correspondantes, par version puis identifiant
  *         content:
  *           application/json:
  *             schema:
@@ -177,7 +747,13 @@ app.get("/embeddings", async (req, res) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Host'
+ *                     $ref: '#/components/schemas/Issue'
+ *       400:
+ *         description: Paramètre invalide
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Erreur serveur
  *         content:
@@ -185,47 +761,2329 @@ app.get("/embeddings", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// Routes API - HOSTS
-app.get("/api/hosts", async (req, res) => {
+// Routes API - ISSUES
+app.get("/api/issues", validate, async (req, res) => {
   try {
-    const { status, model, lifecycleStatus, limit, sort } = req.query;
+    const { version, component, status, q, affects, fixedBy, limit } = req.query;
 
-    // Construire le filtre
-    const filter = {};
-    if (status) filter.status = status;
-    if (model) filter.model = model;
-    if (lifecycleStatus) filter["lifecycle.status"] = lifecycleStatus;
+    for (const [name, value] of Object.entries({ version, affects, fixedBy })) {
+      if (value !== undefined && !parseVersion(value)) {
+        return res.status(400).json({
+          success: false,
+          error: "Version invalide",
+          message: `${name}: "${value}" n'est pas une version (ex. 6.4.1)`,
+        });
+      }
+    }
 
-    // Construire le tri
-    const sortOptions = {};
-    if (sort) {
-      const [field, order] = sort.split(":");
-      sortOptions[field] = order === "desc" ? -1 : 1;
-    } else {
-      sortOptions.host = 1; // Tri par défaut
+    const issues = await db
+      .collection(ISSUES_COLLECTION)
+      .find(buildIssueFilter({ version, component, status, q }), { projection: { _id: 0 } })
+      .sort({ version: 1, issueId: 1 })
+      .toArray();
+
+    const matching = filterIssues(issues, { affects, fixedBy });
+    const data = limit ? matching.slice(0, Number(limit)) : matching;
+
+    res.json({
+      success: true,
+      count: data.length,
+      total: matching.length,
+      data,
+    });
+  } catch (error) {
+    console.error("Erreur /api/issues:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des issues",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts:
+ *   get:
+ *     summary: Récupère la liste des hôtes
+ *     tags: [Hosts]
+ *     description: Retourne tous les hôtes avec filtrage et tri optionnels. Avec une date asOf passée, l'inventaire est celui de cette date, reconstruit depuis l'historique des changements (collection changes).
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ok, warning, critical]
+ *         description: Filtrer par statut
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Filtrer par modèle
+ *       - in: query
+ *         name: lifecycleStatus
+ *         schema:
+ *           type: string
+ *           enum: [CURRENT, EOS, APPROACHING_EOL, EOL]
+ *         description: Filtrer par statut de cycle de vie (calculé à la date asOf)
+ *       - $ref: '#/components/parameters/AsOf'
+ *       - $ref: '#/components/parameters/ApproachingDays'
+ *       - in: query
+ *         name: versionBelow
+ *         schema:
+ *           type: string
+ *         description: Version logicielle strictement inférieure à
+ *         example: '6.1.0'
+ *       - in: query
+ *         name: versionAtLeast
+ *         schema:
+ *           type: string
+ *         description: Version logicielle supérieure ou égale à
+ *         example: '5.2.3.1'
+ *       - in: query
+ *         name: train
+ *         schema:
+ *           type: string
+ *         description: Train ou motif de version ("5.2" ou "5.2.x" couvrent 5.2.3.1)
+ *         example: '5.2.x'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *         description: Limiter le nombre de résultats
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           pattern: '^(host|name|model|type|status|softwareVersion|throughput|tunnels|flowsPerSecond|flows|natEntries)(:(asc|desc))?$'
+ *         description: 'Trier les résultats (format: champ:asc ou champ:desc ; champs : host, name, model, type, status, softwareVersion, throughput, tunnels, flowsPerSecond, flows, natEntries ; softwareVersion est trié par version, pas alphabétiquement)'
+ *         example: 'throughput:desc'
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Liste des hôtes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Host'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Filtre de version ou paramètres de cycle de vie invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Routes API - HOSTS
+app.get("/api/hosts", validate, async (req, res) => {
+  try {
+    const { status, model, lifecycleStatus, limit, sort, versionBelow, versionAtLeast, train } =
+      req.query;
+
+    if (
+      (versionBelow && !parseVersion(versionBelow)) ||
+      (versionAtLeast && !parseVersion(versionAtLeast)) ||
+      (train && !parseVersionPattern(train))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Filtre de version invalide",
+        message: "versionBelow et versionAtLeast attendent une version (ex. 5.2.3.1), train un motif (ex. 5.2 ou 5.2.x)",
+      });
+    }
+
+    const lifecycleOptions = parseLifecycleOptions(req.query);
+    if (!lifecycleOptions) {
+      return res.status(400).json(INVALID_LIFECYCLE_OPTIONS);
+    }
+
+    const format = getExportFormat(req);
+    if (!format) {
+      return res.status(400).json(INVALID_EXPORT_FORMAT);
+    }
+
+    // Construire le filtre
+    const filter = {};
+    if (status) filter.status = status;
+    if (model) filter.model = model;
+
+    // Date passée : inventaire reconstruit à cette date depuis l'historique
+    const pastInventory =
+      req.query.asOf !== undefined && lifecycleOptions.asOf < new Date();
+
+    // Construire le tri
+    const sortOptions = {};
+    if (sort) {
+      const [field, order] = sort.split(":");
+      sortOptions[field] = order === "desc" ? -1 : 1;
+    } else {
+      sortOptions.host = 1; // Tri par défaut
+    }
+
+    // Les versions ne se comparent pas en chaînes ("6.10" > "6.4") et le
+    // cycle de vie est calculé : ces filtres et le tri sur la version sont
+    // appliqués après la requête
+    const versionFilter = { versionBelow, versionAtLeast, train };
+    const sortsByVersion = "softwareVersion" in sortOptions;
+    const inMemory = Boolean(
+      pastInventory || versionBelow || versionAtLeast || train || lifecycleStatus || sortsByVersion,
+    );
+
+    let hosts;
+    let models = null;
+    if (pastInventory) {
+      [hosts, models] = await Promise.all([
+        findDocumentsAsOf(db, "hosts", "host", lifecycleOptions.asOf),
+        findDocumentsAsOf(db, "models", "model", lifecycleOptions.asOf),
+      ]);
+      hosts = hosts.filter((host) =>
+        Object.entries(filter).every(([field, value]) => host[field] === value),
+      );
+    } else {
+      const cursor = db
+        .collection("hosts")
+        .find(filter)
+        .sort(sortsByVersion ? {} : sortOptions)
+        .limit(!inMemory && limit ? parseInt(limit) : 0);
+
+      // Export sans filtre ni tri en mémoire : lignes écrites au fil du curseur
+      if (!inMemory && format !== "json") {
+        const enrichHost = await createHostEnricher(lifecycleOptions);
+        return sendExport(res, format, {
+          filename: "hosts",
+          columns: HOST_COLUMNS,
+          rows: cursor.map(enrichHost),
+        });
+      }
+      hosts = await cursor.toArray();
+    }
+
+    // Statistiques
+    let total;
+    if (inMemory) {
+      hosts = (await enrichHosts(hosts, lifecycleOptions, models)).filter(
+        (host) =>
+          matchesVersionFilter(getHostVersion(host), versionFilter) &&
+          (!lifecycleStatus || host.lifecycle.status === lifecycleStatus),
+      );
+      if (sortsByVersion) {
+        hosts.sort((a, b) => compareHostVersions(a, b, sortOptions.softwareVersion));
+      } else if (pastInventory) {
+        const [[field, order]] = Object.entries(sortOptions);
+        hosts.sort(compareByField(field, order));
+      }
+      total = hosts.length;
+      if (limit) hosts = hosts.slice(0, parseInt(limit));
+    } else {
+      total = await db.collection("hosts").countDocuments(filter);
+      hosts = await enrichHosts(hosts, lifecycleOptions);
+    }
+
+    if (format !== "json") {
+      return sendExport(res, format, { filename: "hosts", columns: HOST_COLUMNS, rows: hosts });
+    }
+
+    res.json({
+      success: true,
+      count: hosts.length,
+      total,
+      data: hosts,
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des hosts",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/{hostname}:
+ *   get:
+ *     summary: Récupère un hôte spécifique
+ *     tags: [Hosts]
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *       - $ref: '#/components/parameters/AsOf'
+ *       - $ref: '#/components/parameters/ApproachingDays'
+ *     responses:
+ *       200:
+ *         description: Détails de l'hôte
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Host'
+ *       400:
+ *         description: Paramètres de cycle de vie invalides
+ *       404:
+ *         description: Hôte non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour un host spécifique
+app.get("/api/hosts/:hostname", validate, async (req, res) => {
+  try {
+    const lifecycleOptions = parseLifecycleOptions(req.query);
+    if (!lifecycleOptions) {
+      return res.status(400).json(INVALID_LIFECYCLE_OPTIONS);
+    }
+
+    const host = await db
+      .collection("hosts")
+      .findOne({ host: req.params.hostname });
+
+    if (!host) {
+      return res.status(404).json({
+        success: false,
+        error: "Host non trouvé",
+      });
+    }
+
+    const [enrichedHost] = await enrichHosts([host], lifecycleOptions);
+
+    res.json({
+      success: true,
+      data: enrichedHost,
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts/:hostname:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération du host",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/{hostname}/history:
+ *   get:
+ *     summary: Historique des modifications d'un hôte
+ *     tags: [Hosts]
+ *     description: Changements enregistrés pour l'hôte (import et API), du plus récent au plus ancien, avec les documents avant et après et leur auteur
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *     responses:
+ *       200:
+ *         description: Historique de l'hôte
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Change'
+ *       404:
+ *         description: Hôte inconnu (ni existant ni historisé)
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour l'historique d'un host
+app.get("/api/hosts/:hostname/history", validate, async (req, res) => {
+  try {
+    const { hostname } = req.params;
+    const changes = await findHistory(db, "hosts", hostname);
+
+    if (changes.length === 0 && !(await db.collection("hosts").findOne({ host: hostname }))) {
+      return res.status(404).json({
+        success: false,
+        error: "Host non trouvé",
+      });
+    }
+
+    res.json({
+      success: true,
+      count: changes.length,
+      data: changes,
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts/:hostname/history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de l'historique du host",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/bulk:
+ *   post:
+ *     summary: Crée ou met à jour des hôtes en lot
+ *     tags: [Hosts]
+ *     description: Upsert par nom d'hôte (champ host requis) ; les champs fournis remplacent ceux de l'hôte existant, les autres sont conservés. Le lot est refusé en entier si un hôte est invalide, en double ou référence un modèle inconnu. Rôle admin requis.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             maxItems: 1000
+ *             items:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Host'
+ *                 - type: object
+ *                   required: [host]
+ *     responses:
+ *       200:
+ *         description: Résultat de l'upsert
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     received:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     unchanged:
+ *                       type: integer
+ *       400:
+ *         description: Hôtes invalides ou en double
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         description: Modèle référencé inconnu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route d'upsert en lot des hosts
+app.post("/api/hosts/bulk", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const hosts = req.body;
+
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const { host } of hosts) {
+      if (seen.has(host)) duplicates.add(host);
+      seen.add(host);
+    }
+    if (duplicates.size > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Hôtes en double",
+        message: `Hôte(s) présent(s) plusieurs fois dans le lot : ${[...duplicates].join(", ")}`,
+      });
+    }
+
+    const unknown = await findUnknownModels(hosts.flatMap((h) => [h.model, h.target?.model]));
+    if (unknown.length > 0) {
+      return res.status(422).json(unknownModelsError(unknown));
+    }
+
+    const models = await db
+      .collection("models")
+      .find({ model: { $in: [...new Set(hosts.map((h) => h.model))] } })
+      .toArray();
+    const modelsByName = new Map(models.map((m) => [m.model, m]));
+    const now = new Date();
+
+    // Documents avant et après l'upsert, pour l'historique
+    const findBulkHosts = async () =>
+      new Map(
+        (
+          await db
+            .collection("hosts")
+            .find({ host: { $in: hosts.map((h) => h.host) } })
+            .toArray()
+        ).map((h) => [h.host, h]),
+      );
+    const before = await findBulkHosts();
+
+    const result =
+      hosts.length > 0
+        ? await db.collection("hosts").bulkWrite(
+            hosts.map((host) => {
+              // Valeurs par défaut (comme à l'import) pour les seuls nouveaux hosts
+              const { name, type } = hostDefaults(host.host, host, modelsByName.get(host.model));
+              const defaults = {
+                ...(host.name === undefined && { name }),
+                ...(host.type === undefined && { type }),
+              };
+              return {
+                updateOne: {
+                  filter: { host: host.host },
+                  update: {
+                    $set: { ...host, updatedAt: now },
+                    ...(Object.keys(defaults).length > 0 && { $setOnInsert: defaults }),
+                  },
+                  upsert: true,
+                },
+              };
+            }),
+          )
+        : null;
+
+    const after = await findBulkHosts();
+    await recordChanges(
+      db,
+      hosts.map(({ host }) =>
+        buildChange({
+          collection: "hosts",
+          key: host,
+          before: before.get(host) ?? null,
+          after: after.get(host) ?? null,
+          user: req.user.name,
+          changedAt: now,
+        }),
+      ),
+    );
+
+    res.json({
+      success: true,
+      data: {
+        received: hosts.length,
+        created: result?.upsertedCount ?? 0,
+        updated: result?.modifiedCount ?? 0,
+        unchanged: (result?.matchedCount ?? 0) - (result?.modifiedCount ?? 0),
+      },
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts/bulk:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de l'upsert des hosts",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/{hostname}:
+ *   post:
+ *     summary: Crée un hôte
+ *     tags: [Hosts]
+ *     description: Le nom et le type sont déduits du nom d'hôte et du modèle s'ils ne sont pas fournis. Le modèle (et le modèle cible de remplacement) doivent exister. Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Host'
+ *     responses:
+ *       201:
+ *         description: Hôte créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Host'
+ *       400:
+ *         description: Hôte invalide
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Hôte déjà existant
+ *       422:
+ *         description: Modèle référencé inconnu
+ *       500:
+ *         description: Erreur serveur
+ *   put:
+ *     summary: Remplace un hôte (ou le crée)
+ *     tags: [Hosts]
+ *     description: Le document de l'hôte est entièrement remplacé par le corps de la requête. Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Host'
+ *     responses:
+ *       200:
+ *         description: Hôte remplacé
+ *       201:
+ *         description: Hôte créé
+ *       400:
+ *         description: Hôte invalide
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         description: Modèle référencé inconnu
+ *       500:
+ *         description: Erreur serveur
+ *   patch:
+ *     summary: Modifie des champs d'un hôte
+ *     tags: [Hosts]
+ *     description: 'Seuls les champs fournis sont modifiés (ex. remplacement sur site : { "model": "Edge 740" }). Rôle admin requis.'
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Host'
+ *     responses:
+ *       200:
+ *         description: Hôte modifié
+ *       400:
+ *         description: Champs invalides
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Hôte non trouvé
+ *       422:
+ *         description: Modèle référencé inconnu
+ *       500:
+ *         description: Erreur serveur
+ *   delete:
+ *     summary: Supprime un hôte
+ *     tags: [Hosts]
+ *     description: Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *     responses:
+ *       200:
+ *         description: Hôte supprimé (document supprimé en retour)
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Hôte non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route de création d'un host
+app.post("/api/hosts/:hostname", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { hostname } = req.params;
+
+    const refusal = await checkHostWrite(hostname, req.body);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+
+    if (await db.collection("hosts").findOne({ host: hostname })) {
+      return res.status(409).json({
+        success: false,
+        error: "Host déjà existant",
+        message: `Utiliser PUT ou PATCH /api/hosts/${hostname} pour le modifier`,
+      });
+    }
+
+    const model = await db.collection("models").findOne({ model: req.body.model });
+    const host = {
+      ...hostDefaults(hostname, req.body, model),
+      ...req.body,
+      updatedAt: new Date(),
+    };
+    await db.collection("hosts").insertOne(host);
+    await recordChange(req, "hosts", hostname, null, host);
+
+    const [enrichedHost] = await enrichHosts([host]);
+    res.status(201).json({
+      success: true,
+      data: enrichedHost,
+    });
+  } catch (error) {
+    console.error("Erreur POST /api/hosts/:hostname:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la création du host",
+      message: error.message,
+    });
+  }
+});
+
+// Route de remplacement d'un host
+app.put("/api/hosts/:hostname", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { hostname } = req.params;
+
+    const refusal = await checkHostWrite(hostname, req.body);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+
+    const model = await db.collection("models").findOne({ model: req.body.model });
+    const host = {
+      ...hostDefaults(hostname, req.body, model),
+      ...req.body,
+      updatedAt: new Date(),
+    };
+    const before = await db
+      .collection("hosts")
+      .findOneAndReplace({ host: hostname }, host, { upsert: true, returnDocument: "before" });
+    await recordChange(req, "hosts", hostname, before, host);
+
+    const [enrichedHost] = await enrichHosts([host]);
+    res.status(before ? 200 : 201).json({
+      success: true,
+      data: enrichedHost,
+    });
+  } catch (error) {
+    console.error("Erreur PUT /api/hosts/:hostname:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du remplacement du host",
+      message: error.message,
+    });
+  }
+});
+
+// Route de modification partielle d'un host
+app.patch("/api/hosts/:hostname", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { hostname } = req.params;
+
+    const before = await db.collection("hosts").findOne({ host: hostname });
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: "Host non trouvé",
+      });
+    }
+
+    const refusal = await checkHostWrite(hostname, req.body);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+
+    const host = await db
+      .collection("hosts")
+      .findOneAndUpdate(
+        { host: hostname },
+        { $set: { ...req.body, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+    await recordChange(req, "hosts", hostname, before, host);
+
+    const [enrichedHost] = await enrichHosts([host]);
+    res.json({
+      success: true,
+      data: enrichedHost,
+    });
+  } catch (error) {
+    console.error("Erreur PATCH /api/hosts/:hostname:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la modification du host",
+      message: error.message,
+    });
+  }
+});
+
+// Route de suppression d'un host
+app.delete("/api/hosts/:hostname", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const host = await db
+      .collection("hosts")
+      .findOneAndDelete({ host: req.params.hostname });
+
+    if (!host) {
+      return res.status(404).json({
+        success: false,
+        error: "Host non trouvé",
+      });
+    }
+    await recordChange(req, "hosts", host.host, host, null);
+
+    res.json({
+      success: true,
+      data: host,
+    });
+  } catch (error) {
+    console.error("Erreur DELETE /api/hosts/:hostname:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression du host",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/{hostname}/recommendation:
+ *   get:
+ *     summary: Recommande le modèle de remplacement d'un hôte
+ *     tags: [Hosts]
+ *     description: Compare les valeurs maximales mesurées (débit, tunnels, flux/s, flux concurrents, NAT, ports RJ45/SFP) aux spécifications des modèles candidats et retient le plus petit modèle qui convient avec la marge demandée
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *       - in: query
+ *         name: headroom
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.15
+ *         description: Marge appliquée aux valeurs mesurées (0.15 = 15 %)
+ *     responses:
+ *       200:
+ *         description: Recommandation pour l'hôte
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Recommendation'
+ *       400:
+ *         description: Marge invalide
+ *       404:
+ *         description: Hôte non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route de recommandation de remplacement d'un host
+app.get("/api/hosts/:hostname/recommendation", validate, async (req, res) => {
+  try {
+    const headroom = parseHeadroom(req.query.headroom);
+    if (headroom === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Marge invalide",
+        message: "headroom doit être un nombre compris entre 0 et 1",
+      });
+    }
+
+    const host = await db
+      .collection("hosts")
+      .findOne({ host: req.params.hostname });
+
+    if (!host) {
+      return res.status(404).json({
+        success: false,
+        error: "Host non trouvé",
+      });
+    }
+
+    const models = await getModels();
+    const candidates = getCandidateModels(models);
+
+    res.json({
+      success: true,
+      data: {
+        headroom,
+        candidates: candidates.map((m) => m.model),
+        ...recommendModel(host, candidates, headroom),
+      },
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts/:hostname/recommendation:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du calcul de la recommandation",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/{hostname}/upgrade-report:
+ *   get:
+ *     summary: Rapport de risque de mise à niveau d'un hôte
+ *     tags: [Hosts]
+ *     description: Issues Edge corrigées en passant de la version actuelle de l'hôte à la cible, nouvelles issues connues de la cible, notes de mise à niveau qui concernent son modèle, et score de risque détaillé par facteur. S'appuie sur les collections issues (extract-issues.js) et chunks (process-documents.js).
+ *     parameters:
+ *       - in: path
+ *         name: hostname
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom de l'hôte
+ *       - in: query
+ *         name: target
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version cible
+ *         example: '6.4.1'
+ *     responses:
+ *       200:
+ *         description: Rapport de mise à niveau
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UpgradeReport'
+ *       400:
+ *         description: Version cible invalide ou non supérieure à la version actuelle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Hôte non trouvé
+ *       422:
+ *         description: Version actuelle de l'hôte inconnue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Issues des release notes non extraites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour le rapport de mise à niveau d'un host
+app.get("/api/hosts/:hostname/upgrade-report", validate, async (req, res) => {
+  try {
+    const { target } = req.query;
+    if (!parseVersion(target)) {
+      return res.status(400).json({
+        success: false,
+        error: "Version cible invalide",
+        message: "Le paramètre target doit être une version (ex. 6.4.1)",
+      });
+    }
+
+    const host = await db
+      .collection("hosts")
+      .findOne({ host: req.params.hostname });
+
+    if (!host) {
+      return res.status(404).json({
+        success: false,
+        error: "Host non trouvé",
+      });
+    }
+
+    const current = getHostVersion(host);
+    if (!parseVersion(current)) {
+      return res.status(422).json({
+        success: false,
+        error: "Version actuelle inconnue",
+        message: `Le host ${host.host} n'a pas de version logicielle exploitable`,
+      });
+    }
+    if (compareVersions(target, current) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Version cible invalide",
+        message: `La version cible doit être supérieure à la version actuelle (${current})`,
+      });
+    }
+
+    const issues = await db
+      .collection(ISSUES_COLLECTION)
+      .find({}, { projection: { _id: 0 } })
+      .toArray();
+    if (issues.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: "Base des issues vide",
+        message: "Lancez extract-issues.js pour extraire les issues des release notes",
+      });
+    }
+
+    const [chunks, compatibility, versionPaths, releases] = await Promise.all([
+      db
+        .collection(CHUNKS_COLLECTION)
+        .find({ section: "Upgrade Notes" }, { projection: { _id: 0, embedding: 0 } })
+        .toArray(),
+      db.collection("compatibility").findOne({ model: host.model }),
+      db.collection("versionPaths").find().toArray(),
+      db.collection(RELEASES_COLLECTION).find().toArray(),
+    ]);
+
+    res.json({
+      success: true,
+      data: buildUpgradeReport({
+        host,
+        current,
+        target,
+        issues,
+        chunks,
+        compatibility,
+        upgradePath: resolveUpgradePath(versionPaths, current, target, releases),
+        releases,
+      }),
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts/:hostname/upgrade-report:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du calcul du rapport de mise à niveau",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/hosts/stats/summary:
+ *   get:
+ *     summary: Statistiques globales des hôtes
+ *     tags: [Hosts]
+ *     description: Retourne des statistiques agrégées sur les hôtes (par statut, modèle, cycle de vie, train logiciel) et l'utilisation par dimension de capacité avec les contraintes dimensionnantes
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsOf'
+ *       - $ref: '#/components/parameters/ApproachingDays'
+ *     responses:
+ *       200:
+ *         description: Statistiques des hôtes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     byStatus:
+ *                       type: array
+ *                     byModel:
+ *                       type: array
+ *                     byLifecycle:
+ *                       type: array
+ *                     byTrain:
+ *                       type: array
+ *                       description: Répartition des versions par train (majeur.mineur), par version croissante ; _id null pour les versions illisibles
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             nullable: true
+ *                             example: '5.2'
+ *                           count:
+ *                             type: number
+ *                     utilization:
+ *                       $ref: '#/components/schemas/UtilizationSummary'
+ *       400:
+ *         description: Paramètres de cycle de vie invalides
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour les statistiques des hosts
+app.get("/api/hosts/stats/summary", validate, async (req, res) => {
+  try {
+    const lifecycleOptions = parseLifecycleOptions(req.query);
+    if (!lifecycleOptions) {
+      return res.status(400).json(INVALID_LIFECYCLE_OPTIONS);
+    }
+
+    const stats = await db
+      .collection("hosts")
+      .aggregate([
+        {
+          $facet: {
+            byStatus: [
+              { $group: { _id: "$status", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+            byModel: [
+              { $group: { _id: "$model", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    // Utilisation multidimensionnelle (calculée sur les spécifications des modèles)
+    const [hosts, models] = await Promise.all([
+      db.collection("hosts").find().toArray(),
+      getModels(lifecycleOptions),
+    ]);
+
+    // Cycle de vie calculé à la date de référence
+    const modelsByName = new Map(models.map((m) => [m.model, m]));
+    const lifecycleCounts = new Map();
+    for (const host of hosts) {
+      const status = modelsByName.get(host.model)?.status ?? getLifecycleStatus();
+      lifecycleCounts.set(status, (lifecycleCounts.get(status) || 0) + 1);
+    }
+    const byLifecycle = [...lifecycleCounts]
+      .map(([status, count]) => ({ _id: status, count }))
+      .sort((a, b) => b.count - a.count);
+
+    // Répartition des versions par train, triée par version (pas alphabétiquement)
+    const trainCounts = new Map();
+    for (const host of hosts) {
+      const train = getTrain(getHostVersion(host));
+      trainCounts.set(train, (trainCounts.get(train) || 0) + 1);
+    }
+    const byTrain = [...trainCounts]
+      .map(([train, count]) => ({ _id: train, count }))
+      .sort((a, b) => {
+        if (a._id === null || b._id === null) return (a._id === null) - (b._id === null);
+        return compareVersions(a._id, b._id);
+      });
+
+    res.json({
+      success: true,
+      data: {
+        ...stats[0],
+        byLifecycle,
+        byTrain,
+        utilization: summarizeUtilization(hosts, models),
+      },
+    });
+  } catch (error) {
+    console.error("Erreur /api/hosts/stats/summary:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des statistiques",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations:
+ *   get:
+ *     summary: Recommandations de remplacement pour toute la flotte
+ *     tags: [Hosts]
+ *     description: Applique le right-sizing à chaque hôte et retourne la répartition des modèles recommandés
+ *     parameters:
+ *       - in: query
+ *         name: headroom
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.15
+ *         description: Marge appliquée aux valeurs mesurées (0.15 = 15 %)
+ *     responses:
+ *       200:
+ *         description: Recommandations de la flotte
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     headroom:
+ *                       type: number
+ *                     candidates:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         hosts:
+ *                           type: number
+ *                         recommended:
+ *                           type: number
+ *                         unresolved:
+ *                           type: number
+ *                         matchesStudy:
+ *                           type: number
+ *                         byModel:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: number
+ *                     recommendations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Recommendation'
+ *       400:
+ *         description: Marge invalide
+ *       500:
+ *         description: Erreur serveur
+ */
+// Routes API - RECOMMENDATIONS
+app.get("/api/recommendations", validate, async (req, res) => {
+  try {
+    const headroom = parseHeadroom(req.query.headroom);
+    if (headroom === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Marge invalide",
+        message: "headroom doit être un nombre compris entre 0 et 1",
+      });
+    }
+
+    const [hosts, models] = await Promise.all([
+      db.collection("hosts").find().sort({ host: 1 }).toArray(),
+      getModels(),
+    ]);
+
+    res.json({
+      success: true,
+      data: recommendFleet(hosts, models, headroom),
+    });
+  } catch (error) {
+    console.error("Erreur /api/recommendations:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du calcul des recommandations",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/models:
+ *   get:
+ *     summary: Récupère la liste des modèles
+ *     tags: [Models]
+ *     description: Retourne tous les modèles d'équipements avec leurs spécifications
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [CURRENT, EOS, APPROACHING_EOL, EOL]
+ *         description: Filtrer par statut de cycle de vie (calculé à la date asOf)
+ *       - $ref: '#/components/parameters/AsOf'
+ *       - $ref: '#/components/parameters/ApproachingDays'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           pattern: '^(model|type|eosDate|eolDate|replacement)(:(asc|desc))?$'
+ *         description: 'Trier les résultats (format: champ:asc ou champ:desc ; champs : model, type, eosDate, eolDate, replacement)'
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     responses:
+ *       200:
+ *         description: Liste des modèles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Model'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Paramètres de cycle de vie invalides
+ *       500:
+ *         description: Erreur serveur
+ */
+// Routes API - MODELS
+app.get("/api/models", validate, async (req, res) => {
+  try {
+    const { status, sort } = req.query;
+
+    const lifecycleOptions = parseLifecycleOptions(req.query);
+    if (!lifecycleOptions) {
+      return res.status(400).json(INVALID_LIFECYCLE_OPTIONS);
+    }
+
+    const format = getExportFormat(req);
+    if (!format) {
+      return res.status(400).json(INVALID_EXPORT_FORMAT);
+    }
+
+    // Construire le tri
+    const sortOptions = {};
+    if (sort) {
+      const [field, order] = sort.split(":");
+      sortOptions[field] = order === "desc" ? -1 : 1;
+    } else {
+      sortOptions.model = 1; // Tri par défaut
+    }
+
+    // Statut calculé à la date de référence, puis filtré
+    const models = (await db.collection("models").find().sort(sortOptions).toArray())
+      .map((model) => ({ ...model, status: getLifecycleStatus(model, lifecycleOptions) }))
+      .filter((model) => !status || model.status === status);
+
+    // Enrichir avec le nombre de hosts par modèle
+    const enrichedModels = await Promise.all(
+      models.map(async (model) => {
+        const hostCount = await db
+          .collection("hosts")
+          .countDocuments({ model: model.model });
+        return { ...model, hostCount };
+      })
+    );
+
+    if (format !== "json") {
+      return sendExport(res, format, {
+        filename: "models",
+        columns: MODEL_COLUMNS,
+        rows: enrichedModels,
+      });
+    }
+
+    res.json({
+      success: true,
+      count: enrichedModels.length,
+      data: enrichedModels,
+    });
+  } catch (error) {
+    console.error("Erreur /api/models:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des modèles",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/models/{modelName}:
+ *   get:
+ *     summary: Récupère un modèle spécifique
+ *     tags: [Models]
+ *     parameters:
+ *       - in: path
+ *         name: modelName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du modèle
+ *       - $ref: '#/components/parameters/AsOf'
+ *       - $ref: '#/components/parameters/ApproachingDays'
+ *     responses:
+ *       200:
+ *         description: Détails du modèle avec son cycle de vie et la liste des hôtes utilisant ce modèle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Paramètres de cycle de vie invalides
+ *       404:
+ *         description: Modèle non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour un modèle spécifique
+app.get("/api/models/:modelName", validate, async (req, res) => {
+  try {
+    const lifecycleOptions = parseLifecycleOptions(req.query);
+    if (!lifecycleOptions) {
+      return res.status(400).json(INVALID_LIFECYCLE_OPTIONS);
+    }
+
+    const model = await db
+      .collection("models")
+      .findOne({ model: req.params.modelName });
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: "Modèle non trouvé",
+      });
+    }
+
+    // Ajouter les hosts de ce modèle
+    const hosts = await db
+      .collection("hosts")
+      .find({ model: model.model })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: {
+        ...model,
+        status: getLifecycleStatus(model, lifecycleOptions),
+        lifecycle: getLifecycle(model, lifecycleOptions),
+        hosts,
+        hostCount: hosts.length,
+      },
+    });
+  } catch (error) {
+    console.error("Erreur /api/models/:modelName:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération du modèle",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/models/{modelName}:
+ *   post:
+ *     summary: Crée un modèle
+ *     tags: [Models]
+ *     description: Le modèle de remplacement, s'il est renseigné, doit exister. Le statut de cycle de vie est calculé à partir des dates. Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: modelName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du modèle
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Model'
+ *     responses:
+ *       201:
+ *         description: Modèle créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Model'
+ *       400:
+ *         description: Modèle invalide
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Modèle déjà existant
+ *       422:
+ *         description: Modèle de remplacement inconnu
+ *       500:
+ *         description: Erreur serveur
+ *   put:
+ *     summary: Remplace un modèle (ou le crée)
+ *     tags: [Models]
+ *     description: Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: modelName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du modèle
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Model'
+ *     responses:
+ *       200:
+ *         description: Modèle remplacé
+ *       201:
+ *         description: Modèle créé
+ *       400:
+ *         description: Modèle invalide
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         description: Modèle de remplacement inconnu
+ *       500:
+ *         description: Erreur serveur
+ *   patch:
+ *     summary: Modifie des champs d'un modèle
+ *     tags: [Models]
+ *     description: Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: modelName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du modèle
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Model'
+ *     responses:
+ *       200:
+ *         description: Modèle modifié
+ *       400:
+ *         description: Champs invalides
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Modèle non trouvé
+ *       422:
+ *         description: Modèle de remplacement inconnu
+ *       500:
+ *         description: Erreur serveur
+ *   delete:
+ *     summary: Supprime un modèle
+ *     tags: [Models]
+ *     description: Refusé tant que des hôtes utilisent le modèle (ou le visent comme cible) ou qu'un autre modèle le recommande en remplacement. Rôle admin requis.
+ *     parameters:
+ *       - in: path
+ *         name: modelName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du modèle
+ *     responses:
+ *       200:
+ *         description: Modèle supprimé (document supprimé en retour)
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Modèle non trouvé
+ *       409:
+ *         description: Modèle encore référencé
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route de création d'un modèle
+app.post("/api/models/:modelName", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { modelName } = req.params;
+
+    const refusal = await checkModelWrite(modelName, req.body);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+
+    if (await db.collection("models").findOne({ model: modelName })) {
+      return res.status(409).json({
+        success: false,
+        error: "Modèle déjà existant",
+        message: `Utiliser PUT ou PATCH /api/models/${modelName} pour le modifier`,
+      });
+    }
+
+    const model = { ...req.body, model: modelName, updatedAt: new Date() };
+    await db.collection("models").insertOne(model);
+    await recordChange(req, "models", modelName, null, model);
+
+    res.status(201).json({
+      success: true,
+      data: { ...model, status: getLifecycleStatus(model, parseLifecycleOptions({})) },
+    });
+  } catch (error) {
+    console.error("Erreur POST /api/models/:modelName:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la création du modèle",
+      message: error.message,
+    });
+  }
+});
+
+// Route de remplacement d'un modèle
+app.put("/api/models/:modelName", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { modelName } = req.params;
+
+    const refusal = await checkModelWrite(modelName, req.body);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+
+    const model = { ...req.body, model: modelName, updatedAt: new Date() };
+    const before = await db
+      .collection("models")
+      .findOneAndReplace({ model: modelName }, model, { upsert: true, returnDocument: "before" });
+    await recordChange(req, "models", modelName, before, model);
+
+    res.status(before ? 200 : 201).json({
+      success: true,
+      data: { ...model, status: getLifecycleStatus(model, parseLifecycleOptions({})) },
+    });
+  } catch (error) {
+    console.error("Erreur PUT /api/models/:modelName:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du remplacement du modèle",
+      message: error.message,
+    });
+  }
+});
+
+// Route de modification partielle d'un modèle
+app.patch("/api/models/:modelName", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { modelName } = req.params;
+
+    const before = await db.collection("models").findOne({ model: modelName });
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: "Modèle non trouvé",
+      });
+    }
+
+    const refusal = await checkModelWrite(modelName, req.body);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+
+    const model = await db
+      .collection("models")
+      .findOneAndUpdate(
+        { model: modelName },
+        { $set: { ...req.body, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+    await recordChange(req, "models", modelName, before, model);
+
+    res.json({
+      success: true,
+      data: { ...model, status: getLifecycleStatus(model, parseLifecycleOptions({})) },
+    });
+  } catch (error) {
+    console.error("Erreur PATCH /api/models/:modelName:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la modification du modèle",
+      message: error.message,
+    });
+  }
+});
+
+// Route de suppression d'un modèle
+app.delete("/api/models/:modelName", requireRole("admin"), validate, async (req, res) => {
+  try {
+    const { modelName } = req.params;
+
+    const [hostCount, replacedModels] = await Promise.all([
+      db
+        .collection("hosts")
+        .countDocuments({ $or: [{ model: modelName }, { "target.model": modelName }] }),
+      db
+        .collection("models")
+        .find(
+          { $or: [{ replacement: modelName }, { alternatives: modelName }], model: { $ne: modelName } },
+          { projection: { model: 1 } },
+        )
+        .toArray(),
+    ]);
+
+    if (hostCount > 0 || replacedModels.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Modèle encore référencé",
+        message: [
+          hostCount > 0 && `${hostCount} host(s) utilisent ce modèle ou le visent comme cible`,
+          replacedModels.length > 0 &&
+            `remplacement ou alternative de : ${replacedModels.map((m) => m.model).join(", ")}`,
+        ]
+          .filter(Boolean)
+          .join(" ; "),
+      });
+    }
+
+    const model = await db.collection("models").findOneAndDelete({ model: modelName });
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: "Modèle non trouvé",
+      });
+    }
+    await recordChange(req, "models", modelName, model, null);
+
+    res.json({
+      success: true,
+      data: model,
+    });
+  } catch (error) {
+    console.error("Erreur DELETE /api/models/:modelName:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la suppression du modèle",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lifecycle/timeline:
+ *   get:
+ *     summary: Échéancier des fins de commercialisation et de support
+ *     tags: [Lifecycle]
+ *     description: Nombre de hosts dont le modèle atteint sa fin de commercialisation (EOS) ou de support (EOL) par trimestre, avec le détail par modèle. Les trimestres sans événement entre le premier et le dernier sont inclus.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Ignorer les événements antérieurs à cette date
+ *         example: '2025-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Ignorer les événements postérieurs à cette date
+ *         example: '2030-12-31'
+ *     responses:
+ *       200:
+ *         description: Événements par trimestre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                   description: Nombre de trimestres
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LifecycleQuarter'
+ *       400:
+ *         description: Dates invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ */
+// Routes API - LIFECYCLE
+app.get("/api/lifecycle/timeline", validate, async (req, res) => {
+  try {
+    // Format AAAA-MM-JJ contrôlé par validate
+    const dates = {};
+    for (const key of ["from", "to"]) {
+      if (req.query[key] !== undefined) dates[key] = new Date(req.query[key]);
+    }
+
+    if (dates.from && dates.to && dates.from > dates.to) {
+      return res.status(400).json({
+        success: false,
+        error: "Dates invalides",
+        message: "from doit être antérieure à to",
+      });
+    }
+
+    const [hosts, models] = await Promise.all([
+      db.collection("hosts").find({}, { projection: { model: 1 } }).toArray(),
+      db.collection("models").find().toArray(),
+    ]);
+
+    const timeline = buildLifecycleTimeline(hosts, models, dates);
+
+    res.json({
+      success: true,
+      count: timeline.length,
+      data: timeline,
+    });
+  } catch (error) {
+    console.error("Erreur /api/lifecycle/timeline:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du calcul de l'échéancier du cycle de vie",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compatibility:
+ *   get:
+ *     summary: Récupère la matrice de compatibilité matériel / logiciel
+ *     tags: [Models]
+ *     description: Retourne, pour chaque modèle, les trains logiciels minimum et maximum supportés
+ *     responses:
+ *       200:
+ *         description: Matrice de compatibilité
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Compatibility'
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ */
+// Routes API - COMPATIBILITY
+app.get("/api/compatibility", validate, async (req, res) => {
+  try {
+    const compatibility = await db
+      .collection("compatibility")
+      .find()
+      .sort({ model: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: compatibility.length,
+      data: compatibility,
+    });
+  } catch (error) {
+    console.error("Erreur /api/compatibility:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de la matrice de compatibilité",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/models/{modelName}/compatibility:
+ *   get:
+ *     summary: Récupère la compatibilité logicielle d'un modèle
+ *     tags: [Models]
+ *     parameters:
+ *       - in: path
+ *         name: modelName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du modèle
+ *     responses:
+ *       200:
+ *         description: Trains logiciels supportés par le modèle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Compatibility'
+ *       404:
+ *         description: Aucune entrée de compatibilité pour ce modèle
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get("/api/models/:modelName/compatibility", validate, async (req, res) => {
+  try {
+    const compatibility = await db
+      .collection("compatibility")
+      .findOne({ model: req.params.modelName });
+
+    if (!compatibility) {
+      return res.status(404).json({
+        success: false,
+        error: "Compatibilité non trouvée pour ce modèle",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compatibility,
+    });
+  } catch (error) {
+    console.error("Erreur /api/models/:modelName/compatibility:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération de la compatibilité",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/version-paths:
+ *   get:
+ *     summary: Récupère tous les chemins de mise à niveau
+ *     tags: [Version Paths]
+ *     description: Retourne les chemins de mise à niveau disponibles entre différentes versions logicielles
+ *     responses:
+ *       200:
+ *         description: Liste des chemins de version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VersionPath'
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ */
+// Routes API - VERSION PATHS
+app.get("/api/version-paths", validate, async (req, res) => {
+  try {
+    const versionPaths = (await db.collection("versionPaths").find().toArray()).sort((a, b) =>
+      compareVersionRanges(a.versionRange, b.versionRange),
+    );
+
+    res.json({
+      success: true,
+      count: versionPaths.length,
+      data: versionPaths,
+    });
+  } catch (error) {
+    console.error("Erreur /api/version-paths:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des chemins de version",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/version-paths/{versionRange}:
+ *   get:
+ *     summary: Récupère un chemin de mise à niveau spécifique
+ *     tags: [Version Paths]
+ *     parameters:
+ *       - in: path
+ *         name: versionRange
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 50
+ *         description: Plage de version (ex. "5.2.x to 6.1.0")
+ *     responses:
+ *       200:
+ *         description: Détails du chemin de version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/VersionPath'
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Chemin de version non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour un chemin de version spécifique
+app.get("/api/version-paths/:versionRange", validate, async (req, res) => {
+  try {
+    const versionPath = await db
+      .collection("versionPaths")
+      .findOne({ versionRange: req.params.versionRange });
+
+    if (!versionPath) {
+      return res.status(404).json({
+        success: false,
+        error: "Chemin de version non trouvé",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: versionPath,
+    });
+  } catch (error) {
+    console.error("Erreur /api/version-paths/:versionRange:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération du chemin de version",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/upgrade-path:
+ *   get:
+ *     summary: Calcule le chemin de mise à niveau entre deux versions
+ *     tags: [Version Paths]
+ *     description: Enchaîne les entrées versionPaths pour trouver la plus courte suite de versions intermédiaires (format à 4 chiffres avec rollup accepté)
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^v?\d+(\.\d+){0,3}$'
+ *         description: Version actuelle
+ *         example: '5.2.3.1'
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^v?\d+(\.\d+){0,3}$'
+ *         description: Version cible
+ *         example: '6.4.1'
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Modèle de l'équipement (vérifie que la cible est supportée)
+ *         example: 'Edge 840'
+ *     responses:
+ *       200:
+ *         description: Chemin de mise à niveau
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     releaseType:
+ *                       type: string
+ *                       nullable: true
+ *                     hops:
+ *                       type: number
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UpgradeStep'
+ *       400:
+ *         description: Versions invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Aucun chemin de mise à niveau trouvé
+ *       422:
+ *         description: Version cible non supportée par le modèle
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route de résolution d'un chemin de mise à niveau
+app.get("/api/upgrade-path", validate, async (req, res) => {
+  try {
+    const { from, to, model } = req.query;
+
+    if (!parseVersion(from) || !parseVersion(to)) {
+      return res.status(400).json({
+        success: false,
+        error: "Versions invalides",
+        message: "Les paramètres from et to doivent être des versions (ex. 5.2.3.1)",
+      });
+    }
+
+    // Vérifier que le modèle supporte la version cible
+    if (model) {
+      const compatibility = await db
+        .collection("compatibility")
+        .findOne({ model: String(model) });
+      const { supported, reason, assumption } = checkCompatibility(compatibility, to);
+
+      if (!supported) {
+        const message =
+          reason === "ABOVE_MAX"
+            ? `${model} est limité au train ${compatibility.maxTrain}`
+            : `${model} requiert au minimum le train ${compatibility.minTrain}`;
+        return res.status(422).json({
+          success: false,
+          error: "Version cible non supportée par le modèle",
+          message: assumption ? `${message} (borne supposée, non documentée)` : message,
+        });
+      }
+    }
+
+    const [versionPaths, releases] = await Promise.all([
+      db.collection("versionPaths").find().toArray(),
+      db.collection(RELEASES_COLLECTION).find().toArray(),
+    ]);
+    const { found, steps } = resolveUpgradePath(versionPaths, from, to, releases);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: "Aucun chemin de mise à niveau trouvé",
+        message: `Aucune suite de versionPaths ne mène de ${from} à ${to}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        releaseType: getVersionRelease(releases, to).releaseType,
+        hops: steps.length,
+        steps,
+      },
+    });
+  } catch (error) {
+    console.error("Erreur /api/upgrade-path:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors du calcul du chemin de mise à niveau",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/releases:
+ *   get:
+ *     summary: Récupère le catalogue des releases logicielles
+ *     tags: [Releases]
+ *     description: Statut LTS/STS par composant, support et dernier rollup connu de chaque release, par version croissante
+ *     parameters:
+ *       - in: query
+ *         name: supported
+ *         schema:
+ *           type: boolean
+ *         description: Ne garder que les releases supportées (true) ou non (false)
+ *     responses:
+ *       200:
+ *         description: Liste des releases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Release'
+ *       400:
+ *         description: Paramètre supported invalide
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Erreur serveur
+ */
+// Routes API - RELEASES
+app.get("/api/releases", validate, async (req, res) => {
+  try {
+    const { supported } = req.query;
+    const filter = {};
+    if (supported !== undefined) filter.supported = supported === "true";
+
+    const releases = sortReleases(
+      await db.collection(RELEASES_COLLECTION).find(filter).toArray(),
+    );
+
+    res.json({
+      success: true,
+      count: releases.length,
+      data: releases,
+    });
+  } catch (error) {
+    console.error("Erreur /api/releases:", error);
+    res.status(500).json({
+      success: false,
+      error: "Erreur lors de la récupération des releases",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/releases/{version}:
+ *   get:
+ *     summary: Récupère la release couvrant une version
+ *     tags: [Releases]
+ *     description: Entrée du catalogue la plus précise couvrant la version (5.2.3.1 -> release 5.2.3, 4.5.2 -> 4.x)
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^v?\d+(\.\d+){0,3}$'
+ *         description: Version logicielle
+ *         example: '5.2.3.1'
+ *     responses:
+ *       200:
+ *         description: Release de la version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Release'
+ *       400:
+ *         description: Version invalide
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Aucune release ne couvre cette version
+ *       500:
+ *         description: Erreur serveur
+ */
+// Route pour la release d'une version
+app.get("/api/releases/:version", validate, async (req, res) => {
+  try {
+    const { version } = req.params;
+
+    if (!parseVersion(version)) {
+      return res.status(400).json({
+        success: false,
+        error: "Version invalide",
+        message: "Le paramètre version doit être une version (ex. 5.2.3.1)",
+      });
     }
 
-    const hosts = await db
-      .collection("hosts")
-      .find(filter)
-      .sort(sortOptions)
-      .limit(limit ? parseInt(limit) : 0)
-      .toArray();
+    const releases = await db.collection(RELEASES_COLLECTION).find().toArray();
+    const release = findRelease(releases, version);
 
-    // Statistiques
-    const total = await db.collection("hosts").countDocuments(filter);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: "Release non trouvée",
+        message: `Aucune release du catalogue ne couvre la version ${version}`,
+      });
+    }
 
     res.json({
       success: true,
-      count: hosts.length,
-      total,
-      data: hosts,
+      data: release,
     });
   } catch (error) {
-    console.error("Erreur /api/hosts:", error);
+    console.error("Erreur /api/releases/:version:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération des hosts",
+      error: "Erreur lors de la récupération de la release",
       message: error.message,
     });
   }
@@ -233,20 +3091,22 @@ app.get("/api/hosts", async (req, res) => {
 
 /**
  * @swagger
- * /api/hosts/{hostname}:
- *   get:
- *     summary: Récupère un hôte spécifique
- *     tags: [Hosts]
+ * /api/scenarios:
+ *   post:
+ *     summary: Calcule un scénario de migration
+ *     tags: [Scenarios]
+ *     description: Détermine pour chaque hôte l'action nécessaire (mise à jour logicielle ou remplacement matériel) pour atteindre la version cible, avec les coûts et les blocages. Si un nom est fourni, le scénario est enregistré dans la collection scenarios. Rôle planner requis.
  *     parameters:
- *       - in: path
- *         name: hostname
- *         required: true
- *         schema:
- *           type: string
- *         description: Nom de l'hôte
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScenarioRequest'
  *     responses:
  *       200:
- *         description: Détails de l'hôte
+ *         description: Résultat du scénario
  *         content:
  *           application/json:
  *             schema:
@@ -255,35 +3115,127 @@ app.get("/api/hosts", async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/Host'
- *       404:
- *         description: Hôte non trouvé
+ *                   $ref: '#/components/schemas/ScenarioResult'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       201:
+ *         description: Scénario calculé et enregistré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Scenario'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Erreur serveur
  */
-// Route pour un host spécifique
-app.get("/api/hosts/:hostname", async (req, res) => {
+// Routes API - SCENARIOS
+app.post("/api/scenarios", requireRole("planner"), validate, async (req, res) => {
   try {
-    const host = await db
-      .collection("hosts")
-      .findOne({ host: req.params.hostname });
+    const format = getExportFormat(req);
+    if (!format) {
+      return res.status(400).json(INVALID_EXPORT_FORMAT);
+    }
 
-    if (!host) {
-      return res.status(404).json({
+    const { inputs, name, error } = normalizeScenarioInputs(req.body);
+
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: "Host non trouvé",
+        error: "Paramètres de scénario invalides",
+        message: error,
+      });
+    }
+
+    const [hosts, models, versionPaths, compatibility, releases, pricing] = await Promise.all([
+      db.collection("hosts").find().sort({ host: 1 }).toArray(),
+      getModels(),
+      db.collection("versionPaths").find().toArray(),
+      db.collection("compatibility").find().toArray(),
+      db.collection(RELEASES_COLLECTION).find().toArray(),
+      getPricing(),
+    ]);
+
+    // Coûts par défaut et prix des cibles issus de la grille tarifaire (les
+    // coûts fournis dans la requête priment)
+    const prices = indexPricing(pricing);
+    inputs.costs = { ...getScenarioCosts(prices), ...req.body.costs };
+
+    const scenario = computeScenario({
+      hosts,
+      models,
+      versionPaths,
+      compatibility,
+      inputs,
+      prices,
+      releases,
+    });
+
+    // Enregistrer le scénario s'il est nommé
+    if (name !== null) {
+      const document = {
+        name,
+        ...scenario,
+        createdAt: new Date(),
+      };
+      const { insertedId } = await db.collection("scenarios").insertOne(document);
+
+      if (format !== "json") {
+        return sendExport(res, format, {
+          filename: `scenario-${insertedId}`,
+          sheetName: "actions",
+          columns: SCENARIO_ACTION_COLUMNS,
+          rows: scenario.actions,
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: { _id: insertedId, ...document },
+      });
+    }
+
+    if (format !== "json") {
+      return sendExport(res, format, {
+        filename: "scenario",
+        sheetName: "actions",
+        columns: SCENARIO_ACTION_COLUMNS,
+        rows: scenario.actions,
       });
     }
 
     res.json({
       success: true,
-      data: host,
+      data: scenario,
     });
   } catch (error) {
-    console.error("Erreur /api/hosts/:hostname:", error);
+    console.error("Erreur /api/scenarios:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération du host",
+      error: "Erreur lors du calcul du scénario",
       message: error.message,
     });
   }
@@ -291,14 +3243,14 @@ app.get("/api/hosts/:hostname", async (req, res) => {
 
 /**
  * @swagger
- * /api/hosts/stats/summary:
+ * /api/scenarios:
  *   get:
- *     summary: Statistiques globales des hôtes
- *     tags: [Hosts]
- *     description: Retourne des statistiques agrégées sur les hôtes (par statut, modèle, cycle de vie, utilisation)
+ *     summary: Liste les scénarios enregistrés
+ *     tags: [Scenarios]
+ *     description: Retourne les scénarios enregistrés (sans le détail par hôte), du plus récent au plus ancien
  *     responses:
  *       200:
- *         description: Statistiques des hôtes
+ *         description: Liste des scénarios
  *         content:
  *           application/json:
  *             schema:
@@ -306,64 +3258,39 @@ app.get("/api/hosts/:hostname", async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 count:
+ *                   type: number
  *                 data:
- *                   type: object
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Scenario'
+ *       400:
+ *         description: Paramètres invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Erreur serveur
  */
-// Route pour les statistiques des hosts
-app.get("/api/hosts/stats/summary", async (req, res) => {
+app.get("/api/scenarios", validate, async (req, res) => {
   try {
-    const stats = await db
-      .collection("hosts")
-      .aggregate([
-        {
-          $facet: {
-            byStatus: [
-              { $group: { _id: "$status", count: { $sum: 1 } } },
-              { $sort: { count: -1 } },
-            ],
-            byModel: [
-              { $group: { _id: "$model", count: { $sum: 1 } } },
-              { $sort: { count: -1 } },
-            ],
-            byLifecycle: [
-              { $group: { _id: "$lifecycle.status", count: { $sum: 1 } } },
-              { $sort: { count: -1 } },
-            ],
-            utilization: [
-              {
-                $group: {
-                  _id: null,
-                  avgThroughputUtilization: {
-                    $avg: "$utilizationMetrics.throughputPercentage",
-                  },
-                  avgFlowsUtilization: {
-                    $avg: "$utilizationMetrics.flowsPercentage",
-                  },
-                  maxThroughputUtilization: {
-                    $max: "$utilizationMetrics.throughputPercentage",
-                  },
-                  maxFlowsUtilization: {
-                    $max: "$utilizationMetrics.flowsPercentage",
-                  },
-                },
-              },
-            ],
-          },
-        },
-      ])
+    const scenarios = await db
+      .collection("scenarios")
+      .find({}, { projection: { actions: 0 } })
+      .sort({ createdAt: -1 })
       .toArray();
 
     res.json({
       success: true,
-      data: stats[0],
+      count: scenarios.length,
+      data: scenarios,
     });
   } catch (error) {
-    console.error("Erreur /api/hosts/stats/summary:", error);
+    console.error("Erreur /api/scenarios:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération des statistiques",
+      error: "Erreur lors de la récupération des scénarios",
       message: error.message,
     });
   }
@@ -371,26 +3298,29 @@ app.get("/api/hosts/stats/summary", async (req, res) => {
 
 /**
  * @swagger
- * /api/models:
+ * /api/scenarios/compare:
  *   get:
- *     summary: Récupère la liste des modèles
- *     tags: [Models]
- *     description: Retourne tous les modèles d'équipements avec leurs spécifications
+ *     summary: Compare deux scénarios enregistrés
+ *     tags: [Scenarios]
+ *     description: Retourne les hôtes dont l'action, la cible ou le coût diffère entre les scénarios a et b, ainsi que l'écart des totaux
  *     parameters:
  *       - in: query
- *         name: status
+ *         name: a
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [CURRENT, EOL, APPROACHING_EOL]
- *         description: Filtrer par statut de cycle de vie
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Identifiant du scénario de référence
  *       - in: query
- *         name: sort
+ *         name: b
+ *         required: true
  *         schema:
  *           type: string
- *         description: 'Trier les résultats (format: champ:asc ou champ:desc)'
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Identifiant du scénario comparé
  *     responses:
  *       200:
- *         description: Liste des modèles
+ *         description: Différences entre les deux scénarios
  *         content:
  *           application/json:
  *             schema:
@@ -398,59 +3328,52 @@ app.get("/api/hosts/stats/summary", async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 count:
- *                   type: number
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Model'
+ *                   $ref: '#/components/schemas/ScenarioComparison'
+ *       400:
+ *         description: Identifiants invalides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Scénario non trouvé
  *       500:
  *         description: Erreur serveur
  */
-// Routes API - MODELS
-app.get("/api/models", async (req, res) => {
+app.get("/api/scenarios/compare", validate, async (req, res) => {
   try {
-    const { status, sort } = req.query;
-
-    // Construire le filtre
-    const filter = {};
-    if (status) filter.status = status;
+    const { a, b } = req.query;
 
-    // Construire le tri
-    const sortOptions = {};
-    if (sort) {
-      const [field, order] = sort.split(":");
-      sortOptions[field] = order === "desc" ? -1 : 1;
-    } else {
-      sortOptions.model = 1; // Tri par défaut
+    if (!ObjectId.isValid(a) || !ObjectId.isValid(b)) {
+      return res.status(400).json({
+        success: false,
+        error: "Identifiants de scénario invalides",
+        message: "Les paramètres a et b doivent être des identifiants de scénario",
+      });
     }
 
-    const models = await db
-      .collection("models")
-      .find(filter)
-      .sort(sortOptions)
-      .toArray();
+    const [scenarioA, scenarioB] = await Promise.all([
+      db.collection("scenarios").findOne({ _id: new ObjectId(a) }),
+      db.collection("scenarios").findOne({ _id: new ObjectId(b) }),
+    ]);
 
-    // Enrichir avec le nombre de hosts par modèle
-    const enrichedModels = await Promise.all(
-      models.map(async (model) => {
-        const hostCount = await db
-          .collection("hosts")
-          .countDocuments({ model: model.model });
-        return { ...model, hostCount };
-      })
-    );
+    if (!scenarioA || !scenarioB) {
+      return res.status(404).json({
+        success: false,
+        error: "Scénario non trouvé",
+      });
+    }
 
     res.json({
       success: true,
-      count: enrichedModels.length,
-      data: enrichedModels,
+      data: compareScenarios(scenarioA, scenarioB),
     });
   } catch (error) {
-    console.error("Erreur /api/models:", error);
+    console.error("Erreur /api/scenarios/compare:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération des modèles",
+      error: "Erreur lors de la comparaison des scénarios",
       message: error.message,
     });
   }
@@ -458,20 +3381,22 @@ app.get("/api/models", async (req, res) => {
 
 /**
  * @swagger
- * /api/models/{modelName}:
+ * /api/scenarios/{id}:
  *   get:
- *     summary: Récupère un modèle spécifique
- *     tags: [Models]
+ *     summary: Récupère un scénario enregistré
+ *     tags: [Scenarios]
  *     parameters:
  *       - in: path
- *         name: modelName
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Nom du modèle
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Identifiant du scénario
+ *       - $ref: '#/components/parameters/ExportFormat'
  *     responses:
  *       200:
- *         description: Détails du modèle avec la liste des hôtes utilisant ce modèle
+ *         description: Scénario avec le détail des actions par hôte
  *         content:
  *           application/json:
  *             schema:
@@ -480,45 +3405,76 @@ app.get("/api/models", async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
+ *                   $ref: '#/components/schemas/Scenario'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Identifiant ou format invalide
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Modèle non trouvé
+ *         description: Scénario non trouvé
  *       500:
  *         description: Erreur serveur
  */
-// Route pour un modèle spécifique
-app.get("/api/models/:modelName", async (req, res) => {
+app.get("/api/scenarios/:id", validate, async (req, res) => {
   try {
-    const model = await db
-      .collection("models")
-      .findOne({ model: req.params.modelName });
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Identifiant de scénario invalide",
+      });
+    }
 
-    if (!model) {
+    const format = getExportFormat(req);
+    if (!format) {
+      return res.status(400).json(INVALID_EXPORT_FORMAT);
+    }
+
+    const _id = new ObjectId(req.params.id);
+    const scenario = await db
+      .collection("scenarios")
+      .findOne({ _id }, format !== "json" ? { projection: { _id: 1 } } : {});
+
+    if (!scenario) {
       return res.status(404).json({
         success: false,
-        error: "Modèle non trouvé",
+        error: "Scénario non trouvé",
       });
     }
 
-    // Ajouter les hosts de ce modèle
-    const hosts = await db
-      .collection("hosts")
-      .find({ model: model.model })
-      .toArray();
+    // Export : actions lues une à une depuis le document enregistré
+    if (format !== "json") {
+      return sendExport(res, format, {
+        filename: `scenario-${_id}`,
+        sheetName: "actions",
+        columns: SCENARIO_ACTION_COLUMNS,
+        rows: db
+          .collection("scenarios")
+          .aggregate([
+            { $match: { _id } },
+            { $unwind: "$actions" },
+            { $replaceRoot: { newRoot: "$actions" } },
+          ]),
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        ...model,
-        hosts,
-        hostCount: hosts.length,
-      },
+      data: scenario,
     });
   } catch (error) {
-    console.error("Erreur /api/models/:modelName:", error);
+    console.error("Erreur /api/scenarios/:id:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération du modèle",
+      error: "Erreur lors de la récupération du scénario",
       message: error.message,
     });
   }
@@ -526,14 +3482,21 @@ app.get("/api/models/:modelName", async (req, res) => {
 
 /**
  * @swagger
- * /api/version-paths:
+ * /api/pricing:
  *   get:
- *     summary: Récupère tous les chemins de mise à niveau
- *     tags: [Version Paths]
- *     description: Retourne les chemins de mise à niveau disponibles entre différentes versions logicielles
+ *     summary: Récupère la grille tarifaire
+ *     tags: [Financial]
+ *     description: Prix catalogue du matériel par modèle, prix annuels des licences par édition et palier de débit, main d'œuvre par intervention (collection pricing, alimentée par l'import depuis data/pricing.json)
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [hardware, license, labor]
+ *         description: Filtrer par catégorie de prix
  *     responses:
  *       200:
- *         description: Liste des chemins de version
+ *         description: Grille tarifaire
  *         content:
  *           application/json:
  *             schema:
@@ -546,29 +3509,32 @@ app.get("/api/models/:modelName", async (req, res) => {
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/VersionPath'
+ *                     $ref: '#/components/schemas/Price'
+ *       400:
+ *         description: Paramètres invalides
  *       500:
  *         description: Erreur serveur
  */
-// Routes API - VERSION PATHS
-app.get("/api/version-paths", async (req, res) => {
+// Routes API - FINANCIAL
+app.get("/api/pricing", validate, async (req, res) => {
   try {
-    const versionPaths = await db
-      .collection("versionPaths")
-      .find()
-      .sort({ versionRange: 1 })
+    const { category } = req.query;
+    const pricing = await db
+      .collection(PRICING_COLLECTION)
+      .find(category ? { category } : {})
+      .sort({ key: 1 })
       .toArray();
 
     res.json({
       success: true,
-      count: versionPaths.length,
-      data: versionPaths,
+      count: pricing.length,
+      data: pricing,
     });
   } catch (error) {
-    console.error("Erreur /api/version-paths:", error);
+    console.error("Erreur /api/pricing:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération des chemins de version",
+      error: "Erreur lors de la récupération de la grille tarifaire",
       message: error.message,
     });
   }
@@ -576,20 +3542,36 @@ app.get("/api/version-paths", async (req, res) => {
 
 /**
  * @swagger
- * /api/version-paths/{versionRange}:
+ * /api/financial/tco:
  *   get:
- *     summary: Récupère un chemin de mise à niveau spécifique
- *     tags: [Version Paths]
+ *     summary: Calcule le coût total de possession (TCO) de la flotte
+ *     tags: [Financial]
+ *     description: "CAPEX (matériel et main d'œuvre) et OPEX (licences sur la durée) de la flotte optimisée, comparés à la référence : tous les hôtes remplacés par des Edge 740 sous licence Enterprise 10G. Sans scénario, seuls les hôtes dont le modèle est en fin de support (APPROACHING_EOL ou EOL) ou surchargé sont remplacés, par la cible de l'étude, à défaut par le modèle recommandé (right-sizing) ; les autres sont gardés sans coût matériel. Les montants sont recalculés à chaque appel à partir de l'inventaire et de la grille tarifaire."
  *     parameters:
- *       - in: path
- *         name: versionRange
- *         required: true
+ *       - in: query
+ *         name: scenario
  *         schema:
  *           type: string
- *         description: Plage de version (ex. "5.2.x to 6.1.0")
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Identifiant d'un scénario enregistré dont les actions définissent la flotte optimisée
+ *       - in: query
+ *         name: years
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 3
+ *         description: Durée de détention en années (licences)
+ *       - in: query
+ *         name: edition
+ *         schema:
+ *           type: string
+ *           enum: [Standard, Enterprise, Premium]
+ *           default: Enterprise
+ *         description: Édition de licence de la flotte optimisée
  *     responses:
  *       200:
- *         description: Détails du chemin de version
+ *         description: TCO de la référence et de la flotte optimisée
  *         content:
  *           application/json:
  *             schema:
@@ -598,35 +3580,60 @@ app.get("/api/version-paths", async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/VersionPath'
+ *                   $ref: '#/components/schemas/Tco'
+ *       400:
+ *         description: Paramètres invalides
  *       404:
- *         description: Chemin de version non trouvé
+ *         description: Scénario non trouvé
  *       500:
  *         description: Erreur serveur
  */
-// Route pour un chemin de version spécifique
-app.get("/api/version-paths/:versionRange", async (req, res) => {
+app.get("/api/financial/tco", validate, async (req, res) => {
   try {
-    const versionPath = await db
-      .collection("versionPaths")
-      .findOne({ versionRange: req.params.versionRange });
-
-    if (!versionPath) {
-      return res.status(404).json({
+    const years = Number(req.query.years ?? DEFAULT_YEARS);
+    const edition = req.query.edition ?? DEFAULT_EDITION;
+    if (!EDITIONS.includes(edition)) {
+      return res.status(400).json({
         success: false,
-        error: "Chemin de version non trouvé",
+        error: "Paramètres invalides",
+        message: `edition doit valoir ${EDITIONS.join(", ")}`,
       });
     }
 
+    let scenario = null;
+    if (req.query.scenario !== undefined) {
+      if (!ObjectId.isValid(req.query.scenario)) {
+        return res.status(400).json({
+          success: false,
+          error: "Identifiant de scénario invalide",
+        });
+      }
+      scenario = await db
+        .collection("scenarios")
+        .findOne({ _id: new ObjectId(req.query.scenario) });
+      if (!scenario) {
+        return res.status(404).json({
+          success: false,
+          error: "Scénario non trouvé",
+        });
+      }
+    }
+
+    const [hosts, models, pricing] = await Promise.all([
+      db.collection("hosts").find().sort({ host: 1 }).toArray(),
+      getModels(),
+      getPricing(),
+    ]);
+
     res.json({
       success: true,
-      data: versionPath,
+      data: computeTco({ hosts, models, pricing, years, edition, scenario }),
     });
   } catch (error) {
-    console.error("Erreur /api/version-paths/:versionRange:", error);
+    console.error("Erreur /api/financial/tco:", error);
     res.status(500).json({
       success: false,
-      error: "Erreur lors de la récupération du chemin de version",
+      error: "Erreur lors du calcul du TCO",
       message: error.message,
     });
   }
@@ -645,24 +3652,55 @@ app.use((req, res) => {
 async function startServer() {
   await connectDB();
 
+  if (API_KEYS.size === 0 && !JWT_SECRET) {
+    console.warn("⚠️  Ni API_KEYS ni JWT_SECRET définis : toutes les requêtes à l'API seront refusées");
+  }
+
   app.listen(PORT, () => {
     console.log(`\n🚀 Serveur démarré sur http://localhost:${PORT}`);
     console.log(`📚 Documentation Swagger: http://localhost:${PORT}/api-docs`);
     console.log(`📚 Documentation API: http://localhost:${PORT}/`);
-    console.log(`\nRoutes disponibles:`);
+    console.log(`🖥️  Tableau de bord: http://localhost:${PORT}/dashboard`);
+    console.log(`\nRoutes disponibles (authentification par ${API_KEY_HEADER} ou Bearer JWT):`);
     console.log(`  GET  /embeddings`);
+    console.log(`  POST /api/ask`);
+    console.log(`  GET  /api/chunks`);
+    console.log(`  POST /api/documents/reindex?full=`);
+    console.log(`  GET  /api/issues?version=&component=&q=`);
     console.log(`  GET  /api/hosts`);
     console.log(`  GET  /api/hosts/:hostname`);
+    console.log(`  POST|PUT|PATCH|DELETE /api/hosts/:hostname`);
+    console.log(`  POST /api/hosts/bulk`);
+    console.log(`  GET  /api/hosts/:hostname/history`);
+    console.log(`  GET  /api/hosts/:hostname/recommendation`);
+    console.log(`  GET  /api/hosts/:hostname/upgrade-report?target=`);
     console.log(`  GET  /api/hosts/stats/summary`);
+    console.log(`  GET  /api/recommendations`);
     console.log(`  GET  /api/models`);
     console.log(`  GET  /api/models/:modelName`);
+    console.log(`  POST|PUT|PATCH|DELETE /api/models/:modelName`);
+    console.log(`  GET  /api/lifecycle/timeline?from=&to=`);
+    console.log(`  GET  /api/compatibility`);
+    console.log(`  GET  /api/models/:modelName/compatibility`);
     console.log(`  GET  /api/version-paths`);
     console.log(`  GET  /api/version-paths/:versionRange`);
+    console.log(`  GET  /api/upgrade-path?from=&to=`);
+    console.log(`  GET  /api/releases`);
+    console.log(`  GET  /api/releases/:version`);
+    console.log(`  POST /api/scenarios`);
+    console.log(`  GET  /api/scenarios`);
+    console.log(`  GET  /api/scenarios/compare?a=&b=`);
+    console.log(`  GET  /api/scenarios/:id`);
+    console.log(`  GET  /api/pricing?category=`);
+    console.log(`  GET  /api/financial/tco?scenario=&years=&edition=`);
     console.log(`\nExemples de filtres pour /api/hosts:`);
     console.log(`  ?status=critical`);
     console.log(`  ?model=Edge 840`);
-    console.log(`  ?lifecycleStatus=EOL`);
+    console.log(`  ?lifecycleStatus=EOL&asOf=2026-06-30`);
     console.log(`  ?sort=throughput:desc&limit=10`);
+    console.log(`  ?versionBelow=6.1.0&train=5.2.x`);
+    console.log(`  ?asOf=2026-01-01 (inventaire à cette date)`);
+    console.log(`  ?format=csv ou ?format=xlsx (export, aussi sur /api/models et les scénarios)`);
   });
 }
 
@@ -1,4 +1,5 @@
 import swaggerJsdoc from 'swagger-jsdoc';
+import { LLM_BACKENDS } from './llm.js';
 
 const options = {
   definition: {
@@ -6,7 +7,7 @@ const options = {
     info: {
       title: 'SD-WAN Fleet Management API',
       version: '1.0.0',
-      description: 'API pour la gestion de la flotte SD-WAN avec support des modèles, hôtes et chemins de mise à niveau',
+      description: 'API pour la gestion de la flotte SD-WAN avec support des modèles, hôtes et chemins de mise à niveau. Authentification par clé d\'API (en-tête X-API-Key) ou jeton JWT ; rôles viewer (lecture), planner (scénarios) et admin (inventaire, ré-indexation).',
       contact: {
         name: 'API Support',
       },
@@ -24,7 +25,15 @@ const options = {
       },
       {
         name: 'Embeddings',
-        description: 'Gestion des embeddings pour le RAG',
+        description: 'Chunks et embeddings de la base documentaire (RAG)',
+      },
+      {
+        name: 'RAG',
+        description: 'Questions sur la documentation SD-WAN',
+      },
+      {
+        name: 'Issues',
+        description: 'Issues résolues et connues extraites des release notes',
       },
       {
         name: 'Hosts',
@@ -34,26 +43,51 @@ const options = {
         name: 'Models',
         description: 'Gestion des modèles d\'équipements',
       },
+      {
+        name: 'Lifecycle',
+        description: 'Cycle de vie des modèles (fins de commercialisation et de support)',
+      },
       {
         name: 'Version Paths',
         description: 'Chemins de mise à niveau des versions logicielles',
       },
+      {
+        name: 'Releases',
+        description: 'Catalogue des releases logicielles (LTS/STS, support, rollups)',
+      },
+      {
+        name: 'Scenarios',
+        description: 'Scénarios de migration de la flotte',
+      },
+      {
+        name: 'Financial',
+        description: 'Grille tarifaire et coût total de possession (TCO)',
+      },
     ],
     components: {
       schemas: {
         Host: {
           type: 'object',
+          required: ['model', 'softwareVersion'],
           properties: {
             host: {
               type: 'string',
               description: 'Nom de l\'hôte',
-              example: 'edge-paris-01',
+              example: 'host-edge840-01',
+            },
+            name: {
+              type: 'string',
+              example: 'Edge840-01',
             },
             model: {
               type: 'string',
               description: 'Modèle de l\'équipement',
               example: 'Edge 840',
             },
+            type: {
+              type: 'string',
+              enum: ['Edge', 'Gateway', 'VCO'],
+            },
             status: {
               type: 'string',
               enum: ['ok', 'warning', 'critical'],
@@ -61,73 +95,388 @@ const options = {
             },
             softwareVersion: {
               type: 'string',
+              pattern: '^v?\\d+(\\.\\d+){0,3}$',
               description: 'Version du logiciel',
               example: '6.1.0',
             },
             throughput: {
               type: 'number',
-              description: 'Débit actuel en Mbps',
+              nullable: true,
+              minimum: 0,
+              description: 'Débit maximum mesuré en Mbps (routed-mode IMIX)',
+            },
+            tunnels: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              description: 'Nombre maximum de tunnels mesuré',
+            },
+            flowsPerSecond: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              description: 'Nombre maximum de flux par seconde mesuré',
             },
             flows: {
               type: 'number',
-              description: 'Nombre de flux actifs',
+              nullable: true,
+              minimum: 0,
+              description: 'Nombre maximum de flux concurrents mesuré',
             },
-            lifecycle: {
+            natEntries: {
+              type: 'number',
+              nullable: true,
+              minimum: 0,
+              description: 'Nombre maximum d\'entrées NAT mesuré',
+            },
+            ports: {
               type: 'object',
+              description: 'Ports 1G utilisés',
               properties: {
-                status: {
-                  type: 'string',
-                  enum: ['CURRENT', 'EOL', 'APPROACHING_EOL'],
+                rj45: {
+                  type: 'number',
+                  nullable: true,
+                  minimum: 0,
                 },
-                eolDate: {
-                  type: 'string',
-                  format: 'date',
+                sfp: {
+                  type: 'number',
+                  nullable: true,
+                  minimum: 0,
                 },
               },
             },
-            utilizationMetrics: {
+            target: {
               type: 'object',
+              nullable: true,
+              description: 'Cible de remplacement retenue lors de l\'étude',
               properties: {
-                throughputPercentage: {
-                  type: 'number',
+                model: {
+                  type: 'string',
+                  example: 'Edge 710',
                 },
-                flowsPercentage: {
-                  type: 'number',
+                bandwidth: {
+                  type: 'string',
+                  nullable: true,
+                  example: '100M',
                 },
               },
             },
+            targetCause: {
+              type: 'string',
+              nullable: true,
+              description: 'Critères ayant motivé la cible',
+              example: 'IMIX FW + SFP',
+            },
+            lifecycle: {
+              allOf: [{ $ref: '#/components/schemas/Lifecycle' }],
+              readOnly: true,
+            },
+            utilizationMetrics: {
+              allOf: [{ $ref: '#/components/schemas/Utilization' }],
+              readOnly: true,
+            },
+            release: {
+              allOf: [{ $ref: '#/components/schemas/VersionRelease' }],
+              readOnly: true,
+            },
           },
         },
         Model: {
           type: 'object',
+          required: ['type'],
           properties: {
             model: {
               type: 'string',
               example: 'Edge 840',
             },
+            type: {
+              type: 'string',
+              enum: ['Edge', 'Gateway', 'VCO'],
+            },
             status: {
               type: 'string',
-              enum: ['CURRENT', 'EOL', 'APPROACHING_EOL'],
+              enum: ['CURRENT', 'EOS', 'APPROACHING_EOL', 'EOL'],
+              readOnly: true,
+              description: 'Statut calculé à la date de référence (asOf)',
+            },
+            eosDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Date de fin de vente',
             },
             eolDate: {
               type: 'string',
               format: 'date',
+              nullable: true,
+              description: 'Date de fin de support',
+            },
+            replacement: {
+              type: 'string',
+              nullable: true,
+              description: 'Modèle de remplacement recommandé (cible des scénarios)',
+              example: 'Edge 740',
+            },
+            alternatives: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Autres modèles équivalents cités par le document de cycle de vie (Edge 1000 : Edge 740 et 4100)',
+              example: [],
             },
             specifications: {
               type: 'object',
               properties: {
                 maxThroughput: {
                   type: 'number',
-                  description: 'Débit maximum en Mbps',
+                  nullable: true,
+                  minimum: 0,
+                  description: 'Débit maximum en Mbps (routed-mode IMIX)',
+                },
+                maxTunnels: {
+                  type: 'number',
+                  nullable: true,
+                  minimum: 0,
+                  description: 'Nombre maximum de tunnels',
+                },
+                maxFlowsPerSecond: {
+                  type: 'number',
+                  nullable: true,
+                  minimum: 0,
+                  description: 'Nombre maximum de flux par seconde',
                 },
                 maxFlows: {
                   type: 'number',
-                  description: 'Nombre maximum de flux',
+                  nullable: true,
+                  minimum: 0,
+                  description: 'Nombre maximum de flux concurrents',
+                },
+                maxNatEntries: {
+                  type: 'number',
+                  nullable: true,
+                  minimum: 0,
+                  description: 'Nombre maximum d\'entrées NAT',
+                },
+                ports: {
+                  type: 'object',
+                  description: 'Ports acceptant des liens 1G',
+                  properties: {
+                    rj45: {
+                      type: 'number',
+                      nullable: true,
+                      minimum: 0,
+                    },
+                    sfp: {
+                      type: 'number',
+                      nullable: true,
+                      minimum: 0,
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        Utilization: {
+          type: 'object',
+          description: 'Utilisation calculée sur les spécifications du modèle de l\'hôte',
+          properties: {
+            percentages: {
+              type: 'object',
+              description: 'Utilisation en % par dimension (null si la mesure ou la spécification manque)',
+              properties: {
+                throughput: {
+                  type: 'number',
+                  nullable: true,
+                },
+                tunnels: {
+                  type: 'number',
+                  nullable: true,
+                },
+                flowsPerSecond: {
+                  type: 'number',
+                  nullable: true,
+                },
+                flows: {
+                  type: 'number',
+                  nullable: true,
+                },
+                natEntries: {
+                  type: 'number',
+                  nullable: true,
+                },
+                rj45: {
+                  type: 'number',
+                  nullable: true,
+                },
+                sfp: {
+                  type: 'number',
+                  nullable: true,
+                },
+              },
+            },
+            bindingConstraint: {
+              type: 'string',
+              nullable: true,
+              description: 'Dimension la plus chargée',
+              example: 'tunnels',
+            },
+            maxPercentage: {
+              type: 'number',
+              nullable: true,
+            },
+            overloaded: {
+              type: 'boolean',
+              description: 'Vrai si une dimension dépasse 90 % (100 % pour les ports)',
+            },
+          },
+        },
+        UtilizationSummary: {
+          type: 'object',
+          properties: {
+            evaluated: {
+              type: 'number',
+              description: 'Nombre d\'hôtes dont l\'utilisation est calculable',
+            },
+            overloaded: {
+              type: 'number',
+            },
+            overloadThreshold: {
+              type: 'number',
+              example: 90,
+            },
+            byBindingConstraint: {
+              type: 'object',
+              description: 'Nombre d\'hôtes par contrainte dimensionnante',
+              additionalProperties: {
+                type: 'number',
+              },
+            },
+            dimensions: {
+              type: 'object',
+              description: 'Utilisation moyenne et maximale par dimension',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  label: {
+                    type: 'string',
+                  },
+                  hosts: {
+                    type: 'number',
+                  },
+                  avgPercentage: {
+                    type: 'number',
+                    nullable: true,
+                  },
+                  maxPercentage: {
+                    type: 'number',
+                    nullable: true,
+                  },
+                },
+              },
+            },
+          },
+        },
+        Recommendation: {
+          type: 'object',
+          properties: {
+            host: {
+              type: 'string',
+            },
+            model: {
+              type: 'string',
+              description: 'Modèle actuel',
+            },
+            studyTarget: {
+              type: 'string',
+              nullable: true,
+              description: 'Cible retenue lors de l\'étude manuelle (colonne "cible")',
+            },
+            recommended: {
+              type: 'string',
+              nullable: true,
+              description: 'Plus petit modèle couvrant la charge mesurée',
+              example: 'Edge 720',
+            },
+            matchesStudy: {
+              type: 'boolean',
+              nullable: true,
+            },
+            reason: {
+              type: 'string',
+              description: 'Motif en l\'absence de recommandation',
+            },
+            limitingDimensions: {
+              type: 'array',
+              description: 'Dimensions ayant exclu les modèles plus petits',
+              items: {
+                type: 'string',
+                enum: ['throughput', 'tunnels', 'flowsPerSecond', 'flows', 'natEntries', 'rj45', 'sfp'],
+              },
+            },
+            dimensions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  dimension: {
+                    type: 'string',
+                  },
+                  label: {
+                    type: 'string',
+                  },
+                  measured: {
+                    type: 'number',
+                    nullable: true,
+                  },
+                  required: {
+                    type: 'number',
+                    nullable: true,
+                    description: 'Valeur mesurée augmentée de la marge',
+                  },
+                  capacity: {
+                    type: 'number',
+                  },
+                  ratio: {
+                    type: 'number',
+                    nullable: true,
+                  },
                 },
               },
             },
           },
         },
+        Compatibility: {
+          type: 'object',
+          properties: {
+            model: {
+              type: 'string',
+              example: 'Edge 840',
+            },
+            minTrain: {
+              type: 'string',
+              nullable: true,
+              description: 'Plus ancien train logiciel supporté (null = pas de minimum)',
+              example: null,
+            },
+            maxTrain: {
+              type: 'string',
+              nullable: true,
+              description: 'Plus récent train logiciel supporté (null = pas de maximum)',
+              example: '6.1',
+            },
+            assumption: {
+              type: 'boolean',
+              description: 'Bornes supposées, non établies par un document source',
+              example: false,
+            },
+            source: {
+              type: 'string',
+              description: 'Justification de la contrainte',
+            },
+          },
+        },
         VersionPath: {
           type: 'object',
           properties: {
@@ -157,24 +506,1109 @@ const options = {
             },
           },
         },
-        Error: {
+        Release: {
           type: 'object',
           properties: {
-            success: {
+            release: {
+              type: 'string',
+              description: 'Release couverte (ses rollups compris) ; "4" couvre toute la 4.x',
+              example: '5.2.3',
+            },
+            edge: {
+              type: 'string',
+              nullable: true,
+              enum: ['LTS', 'LTS Candidate', 'STS', null],
+              description: 'Type de release pour les Edges (null si la release ne les concerne pas)',
+            },
+            gateway: {
+              type: 'string',
+              nullable: true,
+              enum: ['LTS', 'LTS Candidate', 'STS', null],
+            },
+            orchestrator: {
+              type: 'string',
+              nullable: true,
+              enum: ['LTS', 'LTS Candidate', 'STS', null],
+            },
+            supported: {
               type: 'boolean',
-              example: false,
             },
-            error: {
+            endOfSupportAnnounced: {
+              type: 'boolean',
+              description: 'Fin de support annoncée pour la version majeure',
+            },
+            endOfSupportDate: {
               type: 'string',
-              example: 'Message d\'erreur',
+              format: 'date',
+              nullable: true,
             },
-            message: {
+            latestRollup: {
+              type: 'string',
+              nullable: true,
+              description: 'Dernier rollup Edge connu d\'après les release notes',
+              example: '5.2.3.4',
+            },
+            latestBuild: {
+              type: 'string',
+              nullable: true,
+              example: 'R5234-20250527-GA-162396',
+            },
+            releaseNotes: {
+              type: 'string',
+              nullable: true,
+              description: 'Fichier des release notes dans la base documentaire',
+            },
+            source: {
+              type: 'string',
+            },
+          },
+        },
+        VersionRelease: {
+          type: 'object',
+          nullable: true,
+          description: 'Release de la version logicielle d\'un Edge (null si la version est illisible)',
+          properties: {
+            release: {
+              type: 'string',
+              nullable: true,
+              description: 'Entrée du catalogue couvrant la version',
+              example: '5.2.3',
+            },
+            releaseType: {
+              type: 'string',
+              nullable: true,
+              enum: ['LTS', 'LTS Candidate', 'STS', null],
+            },
+            isLts: {
+              type: 'boolean',
+            },
+            supported: {
+              type: 'boolean',
+            },
+            endOfSupportDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+            },
+            latestRollup: {
+              type: 'string',
+              nullable: true,
+              description: 'Dernier rollup connu de la release',
+              example: '5.2.3.4',
+            },
+            upToDate: {
+              type: 'boolean',
+              nullable: true,
+              description: 'La version est au dernier rollup connu (null s\'il est inconnu)',
+            },
+          },
+        },
+        ScenarioRequest: {
+          type: 'object',
+          required: ['targetVersion'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 200,
+              pattern: '\\S',
+              description: 'Nom du scénario (s\'il est fourni, le scénario est enregistré)',
+              example: 'Performance 6.4.0',
+            },
+            targetVersion: {
+              type: 'string',
+              maxLength: 20,
+              pattern: '^\\d+(\\.\\d+)*$',
+              description: 'Version logicielle cible',
+              example: '6.4.0',
+            },
+            strategy: {
+              type: 'string',
+              enum: ['conservative', 'performance'],
+              default: 'conservative',
+              description: 'Stratégie de remplacement',
+            },
+            throughputThreshold: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              default: 0.7,
+              description: 'Taux d\'utilisation du débit déclenchant un remplacement (stratégie performance)',
+            },
+            costs: {
+              type: 'object',
+              description: 'Coûts unitaires en € (les valeurs absentes prennent la valeur par défaut ; softwareUpgrade par défaut : main d\'œuvre de la grille tarifaire). Les forfaits de remplacement ne s\'appliquent qu\'aux cibles sans prix catalogue : sinon, prix du modèle cible et pose.',
+              properties: {
+                eolReplacement: {
+                  type: 'number',
+                  minimum: 0,
+                  default: 2500,
+                },
+                performanceUpgrade: {
+                  type: 'number',
+                  minimum: 0,
+                  default: 3000,
+                },
+                incompatibleReplacement: {
+                  type: 'number',
+                  minimum: 0,
+                  default: 2000,
+                },
+                softwareUpgrade: {
+                  type: 'number',
+                  minimum: 0,
+                  default: 50,
+                },
+              },
+            },
+          },
+        },
+        ScenarioAction: {
+          type: 'object',
+          properties: {
+            host: {
+              type: 'string',
+            },
+            model: {
               type: 'string',
             },
+            version: {
+              type: 'string',
+            },
+            utilization: {
+              type: 'number',
+              nullable: true,
+              description: 'Utilisation du débit en %',
+            },
+            action: {
+              type: 'string',
+              example: 'Mise à jour logicielle',
+            },
+            target: {
+              type: 'string',
+              nullable: true,
+              description: 'Version cible ou modèle de remplacement',
+            },
+            cost: {
+              type: 'number',
+            },
+            isBlocker: {
+              type: 'boolean',
+            },
+            assumption: {
+              type: 'boolean',
+              description: 'Remplacement décidé sur une borne de compatibilité supposée',
+            },
+            upgradePath: {
+              type: 'array',
+              nullable: true,
+              description: 'Versions intermédiaires jusqu\'à la cible (null si aucun chemin connu)',
+              items: {
+                type: 'object',
+                properties: {
+                  version: {
+                    type: 'string',
+                  },
+                  releaseType: {
+                    type: 'string',
+                    nullable: true,
+                  },
+                },
+              },
+            },
+          },
+        },
+        ScenarioResult: {
+          type: 'object',
+          properties: {
+            inputs: {
+              $ref: '#/components/schemas/ScenarioRequest',
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                hosts: {
+                  type: 'number',
+                },
+                compatible: {
+                  type: 'number',
+                },
+                replace: {
+                  type: 'number',
+                },
+                totalCost: {
+                  type: 'number',
+                },
+              },
+            },
+            blockers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  action: {
+                    type: 'string',
+                  },
+                  count: {
+                    type: 'number',
+                  },
+                  hosts: {
+                    type: 'array',
+                    items: {
+                      type: 'string',
+                    },
+                  },
+                },
+              },
+            },
+            actions: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ScenarioAction',
+              },
+            },
+          },
+        },
+        Scenario: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/ScenarioResult',
+            },
+            {
+              type: 'object',
+              properties: {
+                _id: {
+                  type: 'string',
+                },
+                name: {
+                  type: 'string',
+                },
+                createdAt: {
+                  type: 'string',
+                  format: 'date-time',
+                },
+              },
+            },
+          ],
+        },
+        ScenarioComparison: {
+          type: 'object',
+          properties: {
+            a: {
+              $ref: '#/components/schemas/Scenario',
+            },
+            b: {
+              $ref: '#/components/schemas/Scenario',
+            },
+            totalsDelta: {
+              type: 'object',
+              description: 'Écart des totaux (b - a)',
+              properties: {
+                compatible: {
+                  type: 'number',
+                },
+                replace: {
+                  type: 'number',
+                },
+                totalCost: {
+                  type: 'number',
+                },
+              },
+            },
+            changedHosts: {
+              type: 'number',
+            },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  host: {
+                    type: 'string',
+                  },
+                  model: {
+                    type: 'string',
+                  },
+                  a: {
+                    type: 'object',
+                    nullable: true,
+                  },
+                  b: {
+                    type: 'object',
+                    nullable: true,
+                  },
+                  costDelta: {
+                    type: 'number',
+                  },
+                },
+              },
+            },
+          },
+        },
+        UpgradeStep: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'string',
+              example: '5.2.3.1',
+            },
+            version: {
+              type: 'string',
+              example: '6.1.0',
+            },
+            releaseType: {
+              type: 'string',
+              enum: ['LTS', 'LTS Candidate', 'STS'],
+              nullable: true,
+            },
+            versionRange: {
+              type: 'string',
+              description: 'Entrée versionPaths utilisée pour cette étape',
+              example: '5.2.x to 6.1.0',
+            },
+            duration: {
+              type: 'string',
+              nullable: true,
+            },
+          },
+        },
+        AskRequest: {
+          type: 'object',
+          required: ['question'],
+          properties: {
+            question: {
+              type: 'string',
+              example: 'Quels bugs sont corrigés en 6.4.1 ?',
+            },
+            topK: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 20,
+              default: 5,
+              description: 'Nombre de chunks utilisés comme contexte',
+            },
+            backend: {
+              type: 'string',
+              enum: LLM_BACKENDS,
+              description: 'Backend LLM (LLM_BACKEND par défaut)',
+            },
+            filename: {
+              type: 'string',
+              description: 'Restreindre la recherche à un fichier',
+            },
+            version: {
+              type: 'string',
+              description: 'Restreindre la recherche aux release notes d\'une version ("6.4" couvre 6.4 et 6.4.x)',
+              example: '6.4.1',
+            },
+            section: {
+              type: 'string',
+              enum: ['New Features', 'Resolved Issues', 'Known Issues', 'Upgrade Notes', 'Compatibility', 'Revision History'],
+              description: 'Restreindre la recherche à une section',
+            },
+          },
+        },
+        Chunk: {
+          type: 'object',
+          properties: {
+            filename: {
+              type: 'string',
+              example: 'Arista-VeloCloud-SD-WAN-6.4.1-Release-Notes-v1.3.txt',
+            },
+            chunkIndex: {
+              type: 'integer',
+            },
+            page: {
+              type: 'integer',
+              description: 'Page du PDF d\'origine',
+            },
+            slide: {
+              type: 'integer',
+              description: 'Diapositive du PPTX d\'origine',
+            },
+            section: {
+              type: 'string',
+              nullable: true,
+            },
+            component: {
+              type: 'string',
+              nullable: true,
+              example: 'Edge/Gateway',
+            },
+            version: {
+              type: 'string',
+              nullable: true,
+              example: '6.4.1',
+            },
+            issueIds: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+            },
+            text: {
+              type: 'string',
+            },
+          },
+        },
+        Issue: {
+          type: 'object',
+          properties: {
+            issueId: {
+              type: 'string',
+              example: '151806',
+            },
+            status: {
+              type: 'string',
+              enum: ['resolved', 'known'],
+              description: 'resolved : corrigée par cette version (section Resolved Issues), known : problème connu de cette version (section Known Issues)',
+            },
+            version: {
+              type: 'string',
+              description: 'Version des release notes où figure l\'issue',
+              example: '5.2.3',
+            },
+            component: {
+              type: 'string',
+              nullable: true,
+              enum: ['Edge/Gateway', 'Edge', 'Gateway', 'Orchestrator', null],
+            },
+            description: {
+              type: 'string',
+              example: 'High Availability PANIC is noticed on Edges.',
+            },
+            workaround: {
+              type: 'string',
+              nullable: true,
+            },
+            build: {
+              type: 'string',
+              nullable: true,
+              description: 'Build correctif (issues résolues)',
+              example: 'R5251-20250410-GA',
+            },
+            fixedIn: {
+              type: 'string',
+              nullable: true,
+              description: 'Version corrective : celle du build pour une issue résolue, la plus ancienne version ultérieure qui la résout pour une issue connue (null si aucune)',
+              example: '5.2.5.1',
+            },
+            filename: {
+              type: 'string',
+              example: 'Arista-VeloCloud-SD-WAN-5.2.3-Release-Notes.txt',
+            },
+            page: {
+              type: 'integer',
+              nullable: true,
+            },
+          },
+        },
+        UpgradeReport: {
+          type: 'object',
+          properties: {
+            host: {
+              type: 'string',
+            },
+            model: {
+              type: 'string',
+              example: 'Edge 840',
+            },
+            currentVersion: {
+              type: 'string',
+              example: '5.2.3.1',
+            },
+            targetVersion: {
+              type: 'string',
+              example: '6.4.1',
+            },
+            releaseType: {
+              type: 'string',
+              nullable: true,
+              enum: ['LTS', 'LTS Candidate', 'STS', null],
+            },
+            compatibility: {
+              type: 'object',
+              properties: {
+                supported: {
+                  type: 'boolean',
+                },
+                reason: {
+                  type: 'string',
+                  nullable: true,
+                  enum: ['BELOW_MIN', 'ABOVE_MAX', null],
+                },
+                assumption: {
+                  type: 'boolean',
+                  description: 'Refus fondé sur une borne supposée',
+                },
+                minTrain: {
+                  type: 'string',
+                  nullable: true,
+                },
+                maxTrain: {
+                  type: 'string',
+                  nullable: true,
+                },
+              },
+            },
+            upgradePath: {
+              type: 'array',
+              nullable: true,
+              description: 'Étapes de mise à niveau (null si aucun chemin référencé)',
+              items: {
+                $ref: '#/components/schemas/UpgradeStep',
+              },
+            },
+            resolvedIssues: {
+              type: 'array',
+              description: 'Issues Edge corrigées entre la version actuelle et la cible',
+              items: {
+                $ref: '#/components/schemas/ReportIssue',
+              },
+            },
+            newKnownIssues: {
+              type: 'array',
+              description: 'Issues Edge connues de la cible qui n\'affectaient pas la version actuelle',
+              items: {
+                $ref: '#/components/schemas/ReportIssue',
+              },
+            },
+            upgradeNotes: {
+              type: 'array',
+              description: 'Notes de mise à niveau des releases intermédiaires et de la cible qui concernent le modèle',
+              items: {
+                type: 'object',
+                properties: {
+                  version: {
+                    type: 'string',
+                  },
+                  filename: {
+                    type: 'string',
+                  },
+                  page: {
+                    type: 'integer',
+                    nullable: true,
+                  },
+                  mentionsModel: {
+                    type: 'boolean',
+                  },
+                  text: {
+                    type: 'string',
+                  },
+                },
+              },
+            },
+            risk: {
+              type: 'object',
+              properties: {
+                score: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 100,
+                },
+                level: {
+                  type: 'string',
+                  enum: ['low', 'medium', 'high'],
+                },
+                factors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      factor: {
+                        type: 'string',
+                        enum: ['unsupportedTarget', 'noUpgradePath', 'extraHops', 'majorUpgrade', 'releaseType', 'newKnownIssues', 'modelKnownIssues'],
+                      },
+                      points: {
+                        type: 'integer',
+                      },
+                      detail: {
+                        type: 'string',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        ReportIssue: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/Issue',
+            },
+            {
+              type: 'object',
+              properties: {
+                mentionsModel: {
+                  type: 'boolean',
+                  description: 'La description cite le modèle de l\'hôte',
+                },
+              },
+            },
+          ],
+        },
+        AskResponse: {
+          type: 'object',
+          properties: {
+            question: {
+              type: 'string',
+            },
+            answer: {
+              type: 'string',
+            },
+            embeddingModel: {
+              type: 'string',
+              description: 'Modèle d\'embedding de l\'index (identique pour l\'indexation et les questions)',
+              example: 'Xenova/all-MiniLM-L6-v2',
+            },
+            llm: {
+              type: 'object',
+              properties: {
+                backend: {
+                  type: 'string',
+                },
+                model: {
+                  type: 'string',
+                  nullable: true,
+                },
+                fallbackReason: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Erreur du backend demandé lorsque les passages sont restitués sans génération',
+                },
+              },
+            },
+            citations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  filename: {
+                    type: 'string',
+                  },
+                  chunkIndex: {
+                    type: 'integer',
+                  },
+                  page: {
+                    type: 'integer',
+                    nullable: true,
+                    description: 'Page du PDF d\'origine',
+                  },
+                  slide: {
+                    type: 'integer',
+                    nullable: true,
+                    description: 'Diapositive du PPTX d\'origine',
+                  },
+                  source: {
+                    type: 'string',
+                    description: 'Libellé de la source (fichier et page ou diapositive)',
+                    example: 'Arista-VeloCloud-SD-WAN-6.4.1-Release-Notes.pdf p.37',
+                  },
+                  section: {
+                    type: 'string',
+                    nullable: true,
+                    enum: ['New Features', 'Resolved Issues', 'Known Issues', 'Upgrade Notes', 'Compatibility', 'Revision History', null],
+                    description: 'Section des release notes',
+                  },
+                  version: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Version couverte par les release notes',
+                    example: '6.4.1',
+                  },
+                  issueIds: {
+                    type: 'array',
+                    items: {
+                      type: 'string',
+                    },
+                    example: ['151806'],
+                  },
+                  score: {
+                    type: 'number',
+                    description: 'Score de pertinence fusionné (Reciprocal Rank Fusion)',
+                  },
+                  vectorScore: {
+                    type: 'number',
+                    nullable: true,
+                    description: 'Similarité cosinus (null si hors des candidats vectoriels)',
+                  },
+                  bm25Score: {
+                    type: 'number',
+                    nullable: true,
+                    description: 'Score BM25 (null si aucun terme de la question)',
+                  },
+                  exactMatch: {
+                    type: 'boolean',
+                    description: 'Le passage contient une version ou un identifiant d\'issue cité dans la question',
+                  },
+                  excerpt: {
+                    type: 'string',
+                  },
+                },
+              },
+            },
+          },
+        },
+        Lifecycle: {
+          type: 'object',
+          description: 'Cycle de vie du modèle, calculé à la date de référence (asOf)',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['CURRENT', 'EOS', 'APPROACHING_EOL', 'EOL'],
+              description: 'EOL : support terminé ; APPROACHING_EOL : fin de support dans la fenêtre ; EOS : plus commercialisé',
+            },
+            eosDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+            },
+            eolDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+            },
+            daysToEos: {
+              type: 'integer',
+              nullable: true,
+              description: 'Jours restants avant la fin de commercialisation (négatif si dépassée)',
+            },
+            daysToEol: {
+              type: 'integer',
+              nullable: true,
+              description: 'Jours restants avant la fin de support (négatif si dépassée)',
+            },
+            replacement: {
+              type: 'string',
+              nullable: true,
+              description: 'Modèle de remplacement recommandé',
+            },
+            alternatives: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Autres modèles équivalents',
+            },
+          },
+        },
+        LifecycleQuarter: {
+          type: 'object',
+          properties: {
+            quarter: {
+              type: 'string',
+              example: '2025-Q3',
+            },
+            eos: {
+              type: 'integer',
+              description: 'Hosts dont le modèle atteint sa fin de commercialisation',
+            },
+            eol: {
+              type: 'integer',
+              description: 'Hosts dont le modèle atteint sa fin de support',
+            },
+            models: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  event: {
+                    type: 'string',
+                    enum: ['eos', 'eol'],
+                  },
+                  model: {
+                    type: 'string',
+                    example: 'Edge 840',
+                  },
+                  date: {
+                    type: 'string',
+                    format: 'date',
+                    example: '2025-09-29',
+                  },
+                  hosts: {
+                    type: 'integer',
+                  },
+                },
+              },
+            },
+          },
+        },
+        Change: {
+          type: 'object',
+          description: 'Modification d\'un hôte ou d\'un modèle (collection changes)',
+          properties: {
+            collection: {
+              type: 'string',
+              enum: ['hosts', 'models'],
+            },
+            key: {
+              type: 'string',
+              description: 'Nom de l\'hôte ou du modèle',
+              example: 'host-edge840-01',
+            },
+            operation: {
+              type: 'string',
+              enum: ['create', 'update', 'delete'],
+            },
+            fields: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Champs modifiés',
+              example: ['model'],
+            },
+            before: {
+              type: 'object',
+              nullable: true,
+              description: 'Document avant le changement (null pour une création)',
+            },
+            after: {
+              type: 'object',
+              nullable: true,
+              description: 'Document après le changement (null pour une suppression)',
+            },
+            user: {
+              type: 'string',
+              description: 'Auteur (utilisateur authentifié, ou import)',
+              example: 'alice',
+            },
+            changedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Price: {
+          type: 'object',
+          description: 'Prix de la grille tarifaire (collection pricing), en € HT',
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Identifiant : catégorie:élément',
+              example: 'license:Enterprise:50M',
+            },
+            category: {
+              type: 'string',
+              enum: ['hardware', 'license', 'labor'],
+            },
+            model: {
+              type: 'string',
+              description: 'Modèle (hardware)',
+              example: 'Edge 710',
+            },
+            edition: {
+              type: 'string',
+              enum: ['Standard', 'Enterprise', 'Premium'],
+              description: 'Édition (license)',
+            },
+            tier: {
+              type: 'string',
+              description: 'Palier de débit (license)',
+              example: '50M',
+            },
+            intervention: {
+              type: 'string',
+              enum: ['softwareUpgrade', 'hardwareReplacement'],
+              description: 'Intervention (labor)',
+            },
+            price: {
+              type: 'number',
+              description: 'Prix unitaire (hardware, labor)',
+            },
+            annualPrice: {
+              type: 'number',
+              description: 'Prix annuel par edge (license)',
+            },
+            source: {
+              type: 'string',
+            },
+          },
+        },
+        TcoSummary: {
+          type: 'object',
+          properties: {
+            edition: {
+              type: 'string',
+            },
+            capex: {
+              type: 'object',
+              properties: {
+                hardware: { type: 'number' },
+                labor: { type: 'number' },
+                total: { type: 'number' },
+              },
+            },
+            opex: {
+              type: 'object',
+              description: 'Licences : coût annuel et sur la durée',
+              properties: {
+                annual: { type: 'number' },
+                total: { type: 'number' },
+              },
+            },
+            total: {
+              type: 'number',
+              description: 'CAPEX + OPEX sur la durée',
+            },
+            replaced: {
+              type: 'number',
+              description: 'Nombre d\'hôtes dont le matériel est remplacé (tous pour la référence ; sans scénario, hôtes en fin de support ou surchargés)',
+            },
+            byModel: {
+              type: 'object',
+              description: 'Nombre d\'hôtes et coût matériel par modèle',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  count: { type: 'number' },
+                  hardware: { type: 'number' },
+                },
+              },
+            },
+            byTier: {
+              type: 'object',
+              description: 'Nombre de licences par palier de débit',
+              additionalProperties: { type: 'number' },
+            },
+          },
+        },
+        Tco: {
+          type: 'object',
+          properties: {
+            years: {
+              type: 'integer',
+            },
+            edition: {
+              type: 'string',
+            },
+            hosts: {
+              type: 'number',
+            },
+            scenario: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+              },
+            },
+            baseline: {
+              $ref: '#/components/schemas/TcoSummary',
+            },
+            optimized: {
+              $ref: '#/components/schemas/TcoSummary',
+            },
+            savings: {
+              type: 'object',
+              description: 'Économies de la flotte optimisée par rapport à la référence (montants et pourcentages)',
+              properties: {
+                capex: { type: 'number' },
+                opex: { type: 'number' },
+                total: { type: 'number' },
+                capexPercent: { type: 'number', nullable: true },
+                opexPercent: { type: 'number', nullable: true },
+                totalPercent: { type: 'number', nullable: true },
+              },
+            },
+            unpriced: {
+              type: 'array',
+              description: 'Hôtes dont un prix manque dans la grille (comptés à 0 €, ou au forfait du scénario)',
+              items: {
+                type: 'object',
+                properties: {
+                  host: { type: 'string' },
+                  missing: {
+                    type: 'array',
+                    items: { type: 'string' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false,
+            },
+            error: {
+              type: 'string',
+              example: 'Message d\'erreur',
+            },
+            message: {
+              type: 'string',
+            },
+          },
+        },
+      },
+      parameters: {
+        AsOf: {
+          in: 'query',
+          name: 'asOf',
+          schema: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$',
+          },
+          description: 'Date de référence du cycle de vie (aujourd\'hui par défaut) : AAAA-MM-JJ ou date-heure ISO 8601 (ex. createdAt d\'un scénario)',
+          example: '2026-06-30',
+        },
+        ExportFormat: {
+          in: 'query',
+          name: 'format',
+          schema: {
+            type: 'string',
+            enum: ['json', 'csv', 'xlsx'],
+          },
+          description: 'Format de la réponse (à défaut, négocié par l\'en-tête Accept : application/json, text/csv ou XLSX). CSV et XLSX : colonnes fixes, mêmes filtres, fichier en pièce jointe.',
+        },
+        ApproachingDays: {
+          in: 'query',
+          name: 'approachingDays',
+          schema: {
+            type: 'integer',
+            minimum: 0,
+          },
+          description: 'Fenêtre en jours avant la fin de support pour le statut APPROACHING_EOL (APPROACHING_EOL_DAYS, 365 par défaut)',
+        },
+      },
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Clé d\'API (variable API_KEYS du serveur)',
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Jeton JWT HS256 signé avec JWT_SECRET, claims sub (utilisateur) et role (viewer, planner ou admin)',
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Authentification requise (clé d\'API ou jeton absent ou invalide)',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+        Forbidden: {
+          description: 'Rôle insuffisant',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
           },
         },
       },
     },
+    // Toutes les routes sont authentifiées (rôle viewer au minimum), sauf
+    // mention contraire
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
   },
   apis: ['./server.js'], // Fichiers contenant les annotations
 };
@@ -0,0 +1,162 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import { API_KEY_HEADER, createAuth, parseApiKeys, verifyJwt } from "../auth.js";
+
+const SECRET = "secret-de-test";
+const NOW = Date.UTC(2026, 0, 1);
+
+function encode(object) {
+  return Buffer.from(JSON.stringify(object)).toString("base64url");
+}
+
+function sign(claims, { header = { alg: "HS256", typ: "JWT" }, secret = SECRET } = {}) {
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.createHmac("sha256", secret).update(unsigned).digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+// Requête et réponse Express minimales
+function request(headers = {}, user) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { user, get: (name) => lower[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function run(middleware, req) {
+  const res = response();
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test("verifyJwt retourne les claims d'un jeton HS256 valide", () => {
+  const claims = { sub: "alice", role: "planner", exp: NOW / 1000 + 60, nbf: NOW / 1000 - 60 };
+  assert.deepEqual(verifyJwt(sign(claims), SECRET, NOW), claims);
+});
+
+test("verifyJwt refuse une signature invalide", () => {
+  const token = sign({ sub: "alice", role: "admin" }, { secret: "autre-secret" });
+  assert.equal(verifyJwt(token, SECRET, NOW), null);
+
+  // Claims modifiés après signature
+  const [header, , signature] = sign({ sub: "alice", role: "viewer" }).split(".");
+  const forged = `${header}.${encode({ sub: "alice", role: "admin" })}.${signature}`;
+  assert.equal(verifyJwt(forged, SECRET, NOW), null);
+});
+
+test("verifyJwt refuse un autre algorithme que HS256, y compris none", () => {
+  const claims = { sub: "alice", role: "admin" };
+  assert.equal(verifyJwt(sign(claims, { header: { alg: "HS512" } }), SECRET, NOW), null);
+  assert.equal(verifyJwt(`${encode({ alg: "none" })}.${encode(claims)}.`, SECRET, NOW), null);
+  assert.equal(verifyJwt(sign(claims, { header: { alg: "none" } }), SECRET, NOW), null);
+  assert.equal(verifyJwt(sign(claims, { header: {} }), SECRET, NOW), null);
+});
+
+test("verifyJwt refuse un jeton expiré ou pas encore valide", () => {
+  const seconds = NOW / 1000;
+  assert.equal(verifyJwt(sign({ sub: "alice", role: "admin", exp: seconds }), SECRET, NOW), null);
+  assert.equal(verifyJwt(sign({ sub: "alice", role: "admin", exp: seconds - 1 }), SECRET, NOW), null);
+  assert.equal(verifyJwt(sign({ sub: "alice", role: "admin", nbf: seconds + 1 }), SECRET, NOW), null);
+});
+
+test("verifyJwt refuse un jeton mal formé", () => {
+  for (const token of ["", "abc", "a.b", "a.b.c.d", "!!.??.**", `${encode({ alg: "HS256" })}.e30`]) {
+    assert.equal(verifyJwt(token, SECRET, NOW), null, token);
+  }
+  // Charge utile qui n'est pas du JSON, signée correctement
+  const header = encode({ alg: "HS256" });
+  const payload = Buffer.from("pas du json").toString("base64url");
+  const signature = crypto.createHmac("sha256", SECRET).update(`${header}.${payload}`).digest("base64url");
+  assert.equal(verifyJwt(`${header}.${payload}.${signature}`, SECRET, NOW), null);
+});
+
+test("parseApiKeys indexe les clés par empreinte", () => {
+  const keys = parseApiKeys(" k1:alice:viewer , k2:bob:admin ");
+  assert.equal(keys.size, 2);
+  assert.equal(keys.has("k1"), false);
+  assert.deepEqual([...keys.values()], [
+    { name: "alice", role: "viewer" },
+    { name: "bob", role: "admin" },
+  ]);
+  assert.equal(parseApiKeys().size, 0);
+});
+
+test("parseApiKeys rejette une entrée API_KEYS mal formée", () => {
+  for (const value of ["k1", "k1:alice", "k1:alice:root", ":alice:viewer", "k1::viewer"]) {
+    assert.throws(() => parseApiKeys(value), /Entrée API_KEYS invalide/, value);
+  }
+});
+
+test("authenticate identifie l'appelant par clé d'API ou jeton", () => {
+  const { authenticate } = createAuth({ apiKeys: parseApiKeys("k1:alice:planner"), jwtSecret: SECRET });
+
+  const byKey = request({ [API_KEY_HEADER]: "k1" });
+  assert.equal(run(authenticate, byKey).passed, true);
+  assert.deepEqual(byKey.user, { name: "alice", role: "planner" });
+
+  const byToken = request({ Authorization: `Bearer ${sign({ sub: "bob", role: "viewer" })}` });
+  assert.equal(run(authenticate, byToken).passed, true);
+  assert.deepEqual(byToken.user, { name: "bob", role: "viewer" });
+
+  for (const headers of [
+    {},
+    { [API_KEY_HEADER]: "inconnue" },
+    { Authorization: `Bearer ${sign({ sub: "bob", role: "root" })}` },
+    { Authorization: `Basic ${sign({ sub: "bob", role: "viewer" })}` },
+  ]) {
+    const { res, passed } = run(authenticate, request(headers));
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.success, false);
+  }
+});
+
+test("authenticate refuse les jetons sans JWT_SECRET configuré", () => {
+  const { authenticate } = createAuth();
+  const token = sign({ sub: "bob", role: "admin" });
+  assert.equal(run(authenticate, request({ Authorization: `Bearer ${token}` })).res.statusCode, 401);
+});
+
+test("requireRole ordonne les rôles viewer < planner < admin", () => {
+  const { requireRole } = createAuth();
+  const allowed = (role, user) => run(requireRole(role), request({}, user && { name: "u", role: user })).passed;
+
+  assert.deepEqual(
+    ["viewer", "planner", "admin"].map((user) => [
+      allowed("viewer", user),
+      allowed("planner", user),
+      allowed("admin", user),
+    ]),
+    [
+      [true, false, false],
+      [true, true, false],
+      [true, true, true],
+    ],
+  );
+
+  const { res } = run(requireRole("viewer"), request({}));
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, {
+    success: false,
+    error: "Accès refusé",
+    message: "Rôle viewer requis (rôle actuel : aucun)",
+  });
+});
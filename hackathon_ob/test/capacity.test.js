@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DIMENSIONS,
+  OVERLOAD_THRESHOLD,
+  computeUtilization,
+  getCapacity,
+  getMeasured,
+  summarizeUtilization,
+} from "../capacity.js";
+
+const model = {
+  model: "Edge 610",
+  specifications: {
+    maxThroughput: 200,
+    maxTunnels: 50,
+    maxFlowsPerSecond: 1000,
+    maxFlows: 10000,
+    ports: { rj45: 4, sfp: 2 },
+  },
+};
+
+const dimension = (key) => DIMENSIONS.find((d) => d.key === key);
+
+test("getMeasured et getCapacity lisent les champs du host et du modèle, ports compris", () => {
+  const host = { throughput: 120, tunnels: "12", ports: { rj45: 3 } };
+
+  assert.equal(getMeasured(host, dimension("throughput")), 120);
+  assert.equal(getMeasured(host, dimension("tunnels")), null);
+  assert.equal(getMeasured(host, dimension("rj45")), 3);
+  assert.equal(getMeasured(host, dimension("sfp")), null);
+  assert.equal(getCapacity(model, dimension("sfp")), 2);
+  assert.equal(getCapacity(model, dimension("natEntries")), null);
+  assert.equal(getCapacity(undefined, dimension("throughput")), null);
+});
+
+test("computeUtilization retient la dimension la plus chargée comme contrainte", () => {
+  // Débit faible mais tunnels presque saturés
+  const utilization = computeUtilization({ throughput: 40, tunnels: 40, flows: 2500 }, model);
+
+  assert.deepEqual(utilization, {
+    percentages: {
+      throughput: 20,
+      tunnels: 80,
+      flowsPerSecond: null,
+      flows: 25,
+      natEntries: null,
+      rj45: null,
+      sfp: null,
+    },
+    bindingConstraint: "tunnels",
+    maxPercentage: 80,
+    overloaded: false,
+  });
+});
+
+test("computeUtilization signale la surcharge au-delà du seuil, à 100 % pour les ports", () => {
+  const limit = (model.specifications.maxTunnels * OVERLOAD_THRESHOLD) / 100;
+
+  assert.equal(computeUtilization({ tunnels: limit }, model).overloaded, false);
+  assert.equal(computeUtilization({ tunnels: limit + 1 }, model).overloaded, true);
+
+  // Tous les ports utilisés : normal ; au-delà : surcharge
+  const allPorts = computeUtilization({ ports: { rj45: 4 } }, model);
+  assert.equal(allPorts.percentages.rj45, 100);
+  assert.equal(allPorts.overloaded, false);
+  assert.equal(computeUtilization({ ports: { sfp: 3 } }, model).overloaded, true);
+});
+
+test("computeUtilization sans mesure ou sans modèle connu n'a pas de contrainte", () => {
+  for (const utilization of [
+    computeUtilization({ host: "brest-01" }, model),
+    computeUtilization({ throughput: 100 }, undefined),
+  ]) {
+    assert.equal(utilization.bindingConstraint, null);
+    assert.equal(utilization.maxPercentage, null);
+    assert.equal(utilization.overloaded, false);
+    assert.ok(Object.values(utilization.percentages).every((p) => p === null));
+  }
+});
+
+test("summarizeUtilization agrège les hosts évalués et ignore les autres", () => {
+  const summary = summarizeUtilization(
+    [
+      { host: "paris-01", model: "Edge 610", throughput: 40, tunnels: 40 },
+      { host: "lyon-01", model: "Edge 610", throughput: 190, tunnels: 10 },
+      { host: "nice-01", model: "Edge 610" },
+      { host: "lille-01", model: "Edge 9999", throughput: 100 },
+    ],
+    [model],
+  );
+
+  assert.equal(summary.evaluated, 2);
+  assert.equal(summary.overloaded, 1);
+  assert.equal(summary.overloadThreshold, OVERLOAD_THRESHOLD);
+  assert.deepEqual(summary.byBindingConstraint, { tunnels: 1, throughput: 1 });
+  assert.deepEqual(summary.dimensions.throughput, {
+    label: "Débit IMIX",
+    hosts: 2,
+    avgPercentage: 57.5,
+    maxPercentage: 95,
+  });
+  assert.deepEqual(summary.dimensions.natEntries, {
+    label: "Entrées NAT",
+    hosts: 0,
+    avgPercentage: null,
+    maxPercentage: null,
+  });
+});
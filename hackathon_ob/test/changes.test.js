@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildChange, diffFields, findDocumentsAsOf, rewindDocuments } from "../changes.js";
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+function change(key, before, after, changedAt, _id) {
+  return { _id, ...buildChange({ collection: "hosts", key, before, after, user: "alice", changedAt }) };
+}
+
+const byHost = (documents) => [...documents].sort((a, b) => a.host.localeCompare(b.host));
+
+test("diffFields ignore _id et dates techniques", () => {
+  assert.deepEqual(
+    diffFields(
+      { _id: 1, host: "paris-01", model: "Edge 840", tags: ["a"], updatedAt: day(1) },
+      { _id: 2, host: "paris-01", model: "Edge 710", tags: ["a"], updatedAt: day(2), site: "Paris" },
+    ),
+    ["model", "site"],
+  );
+});
+
+test("buildChange qualifie l'opération et ignore les écritures sans effet", () => {
+  const host = { _id: 1, host: "paris-01", model: "Edge 840" };
+
+  assert.equal(buildChange({ collection: "hosts", key: "paris-01", before: null, after: host }).operation, "create");
+  assert.equal(buildChange({ collection: "hosts", key: "paris-01", before: host, after: null }).operation, "delete");
+  const update = buildChange({
+    collection: "hosts",
+    key: "paris-01",
+    before: host,
+    after: { ...host, model: "Edge 710" },
+    user: "alice",
+    changedAt: day(3),
+  });
+  assert.deepEqual(update, {
+    collection: "hosts",
+    key: "paris-01",
+    operation: "update",
+    fields: ["model"],
+    before: { host: "paris-01", model: "Edge 840" },
+    after: { host: "paris-01", model: "Edge 710" },
+    user: "alice",
+    changedAt: day(3),
+  });
+  assert.equal(
+    buildChange({ collection: "hosts", key: "paris-01", before: host, after: { ...host, updatedAt: day(4) } }),
+    null,
+  );
+});
+
+test("rewindDocuments retire un document créé après la date", () => {
+  const lyon = { host: "lyon-01", model: "Edge 610" };
+  const current = [{ host: "paris-01", model: "Edge 840" }, lyon];
+
+  assert.deepEqual(rewindDocuments(current, [change("lyon-01", null, lyon, day(5), "c1")], "host"), [
+    { host: "paris-01", model: "Edge 840" },
+  ]);
+});
+
+test("rewindDocuments restaure les valeurs avant une mise à jour", () => {
+  const before = { host: "paris-01", model: "Edge 840", softwareVersion: "5.2.3" };
+  const after = { host: "paris-01", model: "Edge 840", softwareVersion: "6.1.2" };
+
+  assert.deepEqual(rewindDocuments([after], [change("paris-01", before, after, day(5), "c1")], "host"), [before]);
+});
+
+test("rewindDocuments rétablit un document supprimé après la date", () => {
+  const nice = { host: "nice-01", model: "Edge 500" };
+  const current = [{ host: "paris-01", model: "Edge 840" }];
+
+  assert.deepEqual(
+    byHost(rewindDocuments(current, [change("nice-01", nice, null, day(5), "c1")], "host")),
+    [nice, { host: "paris-01", model: "Edge 840" }],
+  );
+});
+
+test("rewindDocuments annule plusieurs changements successifs d'une même clé", () => {
+  const v1 = { host: "paris-01", softwareVersion: "5.2.3" };
+  const v2 = { host: "paris-01", softwareVersion: "6.1.2" };
+  const v3 = { host: "paris-01", softwareVersion: "6.4.1" };
+  // Désordonnés : le plus récent est annulé en premier
+  const changes = [
+    change("paris-01", v2, v3, day(7), "c2"),
+    change("paris-01", v1, v2, day(6), "c1"),
+    change("paris-01", v3, null, day(8), "c3"),
+  ];
+
+  assert.deepEqual(rewindDocuments([], changes, "host"), [v1]);
+  assert.deepEqual(rewindDocuments([], changes.slice(0, 1).concat(changes[2]), "host"), [v2]);
+
+  // Créé puis modifié après la date : absent
+  const created = [change("lyon-01", null, v1, day(6), "c4"), change("lyon-01", v1, v2, day(6), "c5")];
+  assert.deepEqual(rewindDocuments([{ ...v2, host: "lyon-01" }], created, "host"), []);
+});
+
+test("findDocumentsAsOf n'annule que les changements postérieurs à asOf", async () => {
+  const v1 = { host: "paris-01", softwareVersion: "5.2.3" };
+  const v2 = { host: "paris-01", softwareVersion: "6.1.2" };
+  const lyon = { host: "lyon-01", softwareVersion: "6.4.1" };
+  const changes = [
+    change("paris-01", null, v1, day(1), "c1"),
+    change("paris-01", v1, v2, day(10), "c2"),
+    change("lyon-01", null, lyon, day(20), "c3"),
+    { ...change("edge-840", null, { model: "Edge 840" }, day(15), "c4"), collection: "models" },
+  ];
+
+  // Base en mémoire : filtre { collection, changedAt: { $gt } } uniquement
+  const db = {
+    collection: (name) => ({
+      find: (filter = {}) => ({
+        toArray: async () =>
+          name === "changes"
+            ? changes.filter(
+                (c) => c.collection === filter.collection && c.changedAt > filter.changedAt.$gt,
+              )
+            : [v2, lyon],
+      }),
+    }),
+  };
+
+  assert.deepEqual(await findDocumentsAsOf(db, "hosts", "host", day(5)), [v1]);
+  assert.deepEqual(byHost(await findDocumentsAsOf(db, "hosts", "host", day(10))), [v2]);
+  assert.deepEqual(byHost(await findDocumentsAsOf(db, "hosts", "host", day(25))), [lyon, v2]);
+});
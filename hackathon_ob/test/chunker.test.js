@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  chunkDocument,
+  extractIssueIds,
+  getDocumentBlocks,
+  getDocumentVersion,
+  getEmbeddingText,
+  validateChunking,
+} from "../chunker.js";
+
+// Deux pages de release notes exportées en PDF : pied et en-tête répétés,
+// numéro de page, menu et copyright de la page web
+const pages = [
+  {
+    page: 1,
+    text: `SD-WAN 6.4.1 Release Notes
+New Features
+The Edge now supports BGP over IPsec (https://kb.example.com/123). See the Known Issues section for limits.
+Resolved Issues
+Fixed Issue 162396: BGP routes flap on Edge 840.
+Related to issues #133199 and #134911.
+SD-WAN 6.4.1 Release Notes | 1`,
+  },
+  {
+    page: 2,
+    text: `SD-WAN 6.4.1 Release Notes | 2
+Fixed Issue 150001: Orchestrator UI is slow.
+Edge/Gateway   Known Issues
+Issue 160000: Tunnel drops after failover.
+Workaround: Reboot the Edge.
+Get In Touch Today
+© Copyright 2025 Arista Networks
+3`,
+  },
+];
+
+test("getDocumentVersion lit le titre, à défaut le nom du fichier", () => {
+  assert.equal(getDocumentVersion("notes.pdf", "VMware SD-WAN 6.4.1 Release Notes"), "6.4.1");
+  assert.equal(getDocumentVersion("VC-SD-WAN-5.4.0-Release-Notes.pdf", "SD-WAN 6.4.0 Release Notes"), "6.4.0");
+  assert.equal(getDocumentVersion("VC-SD-WAN-5.2.3-Release-Notes.pdf"), "5.2.3");
+  assert.equal(getDocumentVersion("lifecycle.pdf", "End of Life policy"), null);
+});
+
+test("extractIssueIds relève les références d'issues sans doublons", () => {
+  assert.deepEqual(
+    extractIssueIds("Fixed Issue 162396: see issues #133199, #134911 and 162396 & 140000. Port 12345."),
+    ["162396", "133199", "134911", "140000"],
+  );
+  assert.deepEqual(extractIssueIds("Edge 840 on 5.2.3"), []);
+});
+
+test("getDocumentBlocks découpe par section et par entrée d'issue", () => {
+  assert.deepEqual(
+    getDocumentBlocks(pages).map((b) => [b.kind, b.section, b.component, b.issueId, b.page]),
+    [
+      ["text", null, null, null, 1],
+      ["text", "New Features", null, null, 1],
+      ["issue", "Resolved Issues", null, "162396", 1],
+      ["issue", "Resolved Issues", null, "150001", 2],
+      ["issue", "Known Issues", "Edge/Gateway", "160000", 2],
+    ],
+  );
+});
+
+test("getDocumentBlocks retire en-têtes, pieds de page, menus et liens", () => {
+  const text = getDocumentBlocks(pages).map((b) => b.text).join("\n");
+
+  assert.doesNotMatch(text, /Release Notes \| \d/);
+  assert.doesNotMatch(text, /Get In Touch|Copyright|https:/);
+  assert.doesNotMatch(text, /^3$/m);
+  // Une mention de section dans une phrase n'ouvre pas de section
+  assert.match(text, /BGP over IPsec\. See the Known Issues section for limits\./);
+  // Le titre du document n'est pas répété : il est conservé
+  assert.match(text, /^SD-WAN 6\.4\.1 Release Notes$/m);
+});
+
+test("getDocumentBlocks : titres enchaînés devant une entrée et entrées hors section", () => {
+  const blocks = getDocumentBlocks([
+    {
+      page: 1,
+      text: `Known Issues Orchestrator Known Issues Issue 41691: Reports are empty.
+Document Revision History
+Open Issue 167780: Added to the known issues.
+New Features
+Open Issue 170000: Listed among the new features.`,
+    },
+  ]);
+
+  // Titres vides : seules les entrées d'issues forment des blocs. Une
+  // entrée "Open Issue" hors des Known Issues est une issue connue, sauf
+  // dans l'historique des révisions
+  assert.deepEqual(
+    blocks.map((b) => [b.kind, b.section, b.component, b.issueId]),
+    [
+      ["issue", "Known Issues", "Orchestrator", "41691"],
+      ["issue", "Revision History", null, "167780"],
+      ["issue", "Known Issues", null, "170000"],
+    ],
+  );
+  assert.equal(blocks[0].text, "Issue 41691: Reports are empty.\n");
+});
+
+test("chunkDocument : un chunk par entrée d'issue, avec version et identifiants", () => {
+  const chunks = chunkDocument(pages, { filename: "notes.pdf" });
+
+  assert.deepEqual(chunks.slice(1), [
+    {
+      text: "The Edge now supports BGP over IPsec. See the Known Issues section for limits.",
+      page: 1,
+      slide: undefined,
+      section: "New Features",
+      component: null,
+      version: "6.4.1",
+      issueIds: [],
+    },
+    {
+      text: "Fixed Issue 162396: BGP routes flap on Edge 840. Related to issues #133199 and #134911.",
+      page: 1,
+      slide: undefined,
+      section: "Resolved Issues",
+      component: null,
+      version: "6.4.1",
+      issueIds: ["162396", "133199", "134911"],
+    },
+    {
+      text: "Fixed Issue 150001: Orchestrator UI is slow.",
+      page: 2,
+      slide: undefined,
+      section: "Resolved Issues",
+      component: null,
+      version: "6.4.1",
+      issueIds: ["150001"],
+    },
+    {
+      text: "Issue 160000: Tunnel drops after failover. Workaround: Reboot the Edge.",
+      page: 2,
+      slide: undefined,
+      section: "Known Issues",
+      component: "Edge/Gateway",
+      version: "6.4.1",
+      issueIds: ["160000"],
+    },
+  ]);
+});
+
+test("chunkDocument respecte la taille et reprend les dernières phrases", () => {
+  const sentences = ["Version 6.4.1 adds BGP.", "Second sentence here.", "Third one follows.", "Last sentence."];
+  const chunks = chunkDocument([{ page: 1, text: `New Features\n${sentences.join(" ")}` }], {
+    filename: "notes.pdf",
+    chunkSize: 50,
+    overlap: 25,
+  });
+
+  assert.deepEqual(
+    chunks.map((c) => c.text),
+    [
+      "Version 6.4.1 adds BGP. Second sentence here.",
+      "Second sentence here. Third one follows.",
+      "Third one follows. Last sentence.",
+    ],
+  );
+  assert.ok(chunks.every((c) => c.text.length <= 50 && c.section === "New Features"));
+});
+
+test("chunkDocument coupe aux mots une phrase plus longue que la taille", () => {
+  const chunks = chunkDocument([{ text: "alpha beta gamma delta epsilon zeta" }], {
+    filename: "notes.txt",
+    chunkSize: 12,
+    overlap: 0,
+  });
+  assert.deepEqual(chunks.map((c) => c.text), ["alpha beta", "gamma delta", "epsilon zeta"]);
+});
+
+test("validateChunking refuse un chevauchement hors bornes", () => {
+  assert.doesNotThrow(() => validateChunking(1000, 150));
+  for (const [size, overlap] of [[100, 100], [100, -1], [0, 0], [undefined, 10]]) {
+    assert.throws(() => validateChunking(size, overlap), /Découpage invalide/);
+  }
+});
+
+test("getEmbeddingText préfixe le chunk de son contexte", () => {
+  assert.equal(
+    getEmbeddingText({ text: "Tunnel drops.", version: "6.4.1", component: "Edge/Gateway", section: "Known Issues" }),
+    "Release 6.4.1 - Edge/Gateway - Known Issues: Tunnel drops.",
+  );
+  assert.equal(getEmbeddingText({ text: "Texte libre.", version: null, component: null, section: null }), "Texte libre.");
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { checkCompatibility } from "../compatibility.js";
+
+test("checkCompatibility compare le train aux bornes du modèle", () => {
+  const entry = { model: "Edge 840", minTrain: "4.0", maxTrain: "6.1", assumption: false };
+
+  assert.deepEqual(checkCompatibility(entry, "6.1.2"), { supported: true, reason: null, assumption: false });
+  assert.deepEqual(checkCompatibility(entry, "6.4.1"), { supported: false, reason: "ABOVE_MAX", assumption: false });
+  assert.deepEqual(checkCompatibility(entry, "3.4.0"), { supported: false, reason: "BELOW_MIN", assumption: false });
+  // Modèle absent de la matrice : aucune restriction connue
+  assert.deepEqual(checkCompatibility(undefined, "6.4.1"), { supported: true, reason: null, assumption: false });
+});
+
+test("checkCompatibility signale un refus fondé sur une borne supposée", () => {
+  const entry = { model: "Edge 1000", minTrain: null, maxTrain: "5.2", assumption: true };
+
+  assert.deepEqual(checkCompatibility(entry, "6.1.2"), { supported: false, reason: "ABOVE_MAX", assumption: true });
+  // Version dans la plage : la borne supposée n'intervient pas
+  assert.deepEqual(checkCompatibility(entry, "5.2.3"), { supported: true, reason: null, assumption: false });
+  // Entrée sans le champ : borne considérée comme documentée
+  assert.deepEqual(
+    checkCompatibility({ model: "Edge 1000", maxTrain: "5.2" }, "6.1.2"),
+    { supported: false, reason: "ABOVE_MAX", assumption: false },
+  );
+});
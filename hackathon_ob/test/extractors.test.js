@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+
+import { extractSections } from "../extractors.js";
+
+function slideXml(paragraphs) {
+  return `<p:sld><p:txBody>${paragraphs.map((runs) => `<a:p>${runs}</a:p>`).join("")}</p:txBody></p:sld>`;
+}
+
+test("extractSections lit les diapositives PPTX dans l'ordre, un paragraphe par ligne", async () => {
+  const zip = new JSZip();
+  zip.file(
+    "ppt/slides/slide2.xml",
+    slideXml([
+      '<a:r><a:rPr lang="fr-FR"/><a:t xml:space="preserve">Edge 840 </a:t></a:r><a:r><a:t>EOL</a:t></a:r>',
+      '<a:r><a:t xml:space="preserve">  R&amp;D &lt;6.1&gt;</a:t></a:r>',
+    ]),
+  );
+  zip.file("ppt/slides/slide10.xml", slideXml(["<a:r><a:t>Fin</a:t></a:r>"]));
+  zip.file("ppt/slides/slide1.xml", slideXml(["<a:r><a:t>Titre</a:t></a:r>"]));
+  const content = await zip.generateAsync({ type: "nodebuffer" });
+
+  assert.deepEqual(await extractSections("deck.pptx", content), [
+    { slide: 1, text: "Titre\n" },
+    { slide: 2, text: "Edge 840 EOL\n  R&D <6.1>\n" },
+    { slide: 10, text: "Fin\n" },
+  ]);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeTco, getScenarioCosts, indexPricing, parseBandwidth } from "../financial.js";
+import { DEFAULT_COSTS } from "../scenario-engine.js";
+
+const pricing = [
+  { category: "hardware", model: "Edge 740", price: 5000 },
+  { category: "hardware", model: "Edge 610", price: 1000 },
+  { category: "license", edition: "Enterprise", tier: "10G", annualPrice: 4000 },
+  { category: "license", edition: "Enterprise", tier: "500M", annualPrice: 1200 },
+  { category: "license", edition: "Enterprise", tier: "100M", annualPrice: 600 },
+  { category: "labor", intervention: "hardwareReplacement", price: 200 },
+  { category: "labor", intervention: "softwareUpgrade", price: 80 },
+];
+
+const models = [
+  { model: "Edge 500", status: "EOL", replacement: "Edge 610", specifications: { maxThroughput: 100 } },
+  { model: "Edge 610", status: "CURRENT", specifications: { maxThroughput: 350 } },
+];
+
+const hosts = [
+  { host: "paris-01", model: "Edge 500", throughput: 80, target: { model: "Edge 610", bandwidth: "100M" } },
+  { host: "lyon-01", model: "Edge 610", throughput: 300, target: { model: "Edge 610", bandwidth: "500M" } },
+];
+
+test("parseBandwidth convertit les paliers en Mb/s", () => {
+  assert.equal(parseBandwidth("50M"), 50);
+  assert.equal(parseBandwidth("1G"), 1000);
+  assert.equal(parseBandwidth("2.5g"), 2500);
+  assert.equal(parseBandwidth("illimité"), null);
+});
+
+test("indexPricing trie les paliers de licence et getScenarioCosts suit la grille", () => {
+  const prices = indexPricing(pricing);
+
+  assert.deepEqual(
+    prices.licenses.get("Enterprise").map((t) => t.tier),
+    ["100M", "500M", "10G"],
+  );
+  assert.deepEqual(getScenarioCosts(prices), { ...DEFAULT_COSTS, softwareUpgrade: 80 });
+});
+
+test("computeTco compare la flotte cible à la référence Edge 740", () => {
+  const tco = computeTco({ hosts, models, pricing, years: 3 });
+
+  assert.deepEqual(tco.baseline.capex, { hardware: 10000, labor: 400, total: 10400 });
+  assert.deepEqual(tco.baseline.opex, { annual: 8000, total: 24000 });
+  assert.equal(tco.baseline.replaced, 2);
+  // Seul paris-01 (Edge 500 EOL) est remplacé ; lyon-01 garde son Edge 610
+  assert.equal(tco.optimized.replaced, 1);
+  assert.deepEqual(tco.optimized.capex, { hardware: 1000, labor: 200, total: 1200 });
+  assert.deepEqual(tco.optimized.opex, { annual: 1800, total: 5400 });
+  assert.deepEqual(tco.optimized.byModel, { "Edge 610": { count: 2, hardware: 1000 } });
+  assert.deepEqual(tco.optimized.byTier, { "100M": 1, "500M": 1 });
+  assert.deepEqual(tco.savings, {
+    capex: 9200,
+    opex: 18600,
+    total: 27800,
+    capexPercent: 88.5,
+    opexPercent: 77.5,
+    totalPercent: 80.8,
+  });
+  assert.deepEqual(tco.unpriced, []);
+});
+
+test("computeTco sans scénario ne remplace que les hosts en fin de support ou surchargés", () => {
+  const fleet = [
+    { host: "lyon-01", model: "Edge 610", throughput: 300 },
+    { host: "lyon-02", model: "Edge 610", throughput: 330, target: { model: "Edge 740" } },
+    { host: "nantes-01", model: "Edge 620", throughput: 100, target: { model: "Edge 610" } },
+    { host: "brest-01", model: "Edge 610" },
+  ];
+  const tco = computeTco({
+    hosts: fleet,
+    models: [
+      ...models,
+      { model: "Edge 620", status: "APPROACHING_EOL", replacement: "Edge 740", specifications: { maxThroughput: 1000 } },
+      { model: "Edge 740", status: "CURRENT", specifications: { maxThroughput: 2000 } },
+    ],
+    pricing,
+    years: 1,
+  });
+
+  // lyon-02 : 94,3 % du débit (> 90 %) ; nantes-01 : fin de support proche ;
+  // lyon-01 (85,7 %) et brest-01 (sans mesure) gardés sans coût
+  assert.equal(tco.optimized.replaced, 2);
+  assert.deepEqual(tco.optimized.byModel, {
+    "Edge 610": { count: 3, hardware: 1000 },
+    "Edge 740": { count: 1, hardware: 5000 },
+  });
+  assert.deepEqual(tco.optimized.capex, { hardware: 6000, labor: 400, total: 6400 });
+  assert.deepEqual(tco.unpriced, []);
+});
+
+test("computeTco suit les actions d'un scénario enregistré", () => {
+  const scenario = {
+    _id: "s1",
+    name: "Plan",
+    actions: [
+      { host: "paris-01", isBlocker: true, target: "Edge 620", cost: 2500 },
+      { host: "lyon-01", isBlocker: false, target: "6.4.1", cost: 50 },
+    ],
+  };
+  const tco = computeTco({ hosts, models, pricing, years: 1, scenario });
+
+  // Edge 620 non tarifé : forfait du scénario, main d'œuvre incluse
+  assert.deepEqual(tco.optimized.capex, { hardware: 2500, labor: 80, total: 2580 });
+  assert.deepEqual(tco.unpriced, [{ host: "paris-01", missing: ["prix matériel Edge 620"] }]);
+  assert.deepEqual(tco.scenario, { _id: "s1", name: "Plan", createdAt: undefined });
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildBm25Index, extractExactTerms, scoreBm25, tokenize } from "../bm25.js";
+import { RRF_K, hybridSearch, reciprocalRankFusion } from "../hybrid-search.js";
+
+const documents = [
+  { key: "a", text: "Fixed Issue 162396: BGP routes flap on Edge 840 running 5.2.3." },
+  { key: "b", text: "Fixed Issue 162390: BGP routes flap after upgrading to 5.2.2." },
+  { key: "c", text: "Release 5.2.30 notes: BGP and OSPF improvements." },
+  { key: "d", text: "Upgrade notes for 6.1.3 and the Gateway." },
+];
+
+test("tokenize garde les versions et identifiants d'issues entiers", () => {
+  assert.deepEqual(tokenize("Fixed Issue 162396 in 5.2.3.1, the Edge/Gateway"), [
+    "fixed",
+    "issue",
+    "162396",
+    "5.2.3.1",
+    "edge",
+    "gateway",
+  ]);
+  assert.deepEqual(tokenize("Quels bugs sont corrigés dans la 6.4.1 ?"), [
+    "quels",
+    "bugs",
+    "sont",
+    "corrigés",
+    "6.4.1",
+  ]);
+  assert.deepEqual(tokenize("..."), []);
+});
+
+test("extractExactTerms isole versions et identifiants d'issues", () => {
+  assert.deepEqual(extractExactTerms("Issue 162396 est-elle corrigée en 5.2.3 ou 6.1.3.2 (5.2.3) ?"), {
+    versions: ["5.2.3", "6.1.3.2"],
+    issueIds: ["162396"],
+  });
+  assert.deepEqual(extractExactTerms("Edge 840 et 4100"), { versions: [], issueIds: [] });
+});
+
+test("scoreBm25 classe d'abord la version exacte, sans les versions voisines", () => {
+  const index = buildBm25Index(documents);
+
+  assert.deepEqual(scoreBm25(index, "5.2.3").map((r) => r.key), ["a"]);
+  assert.deepEqual(scoreBm25(index, "issue 162396").map((r) => r.key)[0], "a");
+  assert.deepEqual(scoreBm25(index, "BGP 5.2.30").map((r) => r.key)[0], "c");
+  assert.deepEqual(scoreBm25(index, "le la"), []);
+});
+
+test("reciprocalRankFusion additionne les rangs et dédoublonne", () => {
+  const fused = reciprocalRankFusion([
+    ["a", "b", "c"],
+    ["c", "a"],
+    ["a"],
+  ]);
+
+  assert.deepEqual(fused.map((r) => r.key), ["a", "c", "b"]);
+  assert.equal(fused[0].score, 1 / (RRF_K + 1) + 1 / (RRF_K + 2) + 1 / (RRF_K + 1));
+  assert.equal(fused[2].score, 1 / (RRF_K + 2));
+  assert.deepEqual(reciprocalRankFusion([["x"], ["y"]], 0), [
+    { key: "x", score: 1 },
+    { key: "y", score: 1 },
+  ]);
+});
+
+// Base MongoDB en mémoire (requêtes sans filtre, projections d'exclusion)
+function memoryDb(chunks) {
+  const project = (chunk, projection = {}) =>
+    Object.fromEntries(Object.entries(chunk).filter(([field]) => projection[field] !== 0));
+  const cursor = (items) => ({
+    toArray: async () => items,
+    [Symbol.asyncIterator]: async function* () {
+      yield* items;
+    },
+  });
+  return {
+    collection: () => ({
+      findOne: async () => null,
+      find: (filter, { projection } = {}) => cursor(chunks.map((c) => project(c, projection))),
+    }),
+  };
+}
+
+test("hybridSearch classe en tête le chunk citant la version et l'issue demandées", async () => {
+  // Les vecteurs favorisent le chunk de la 5.2.2, proche sémantiquement
+  const chunks = documents.map(({ key, text }, chunkIndex) => ({
+    filename: "notes.txt",
+    chunkIndex,
+    text,
+    version: null,
+    issueIds: text.match(/\d{6}/g) || [],
+    embedding: key === "b" ? [1, 0] : key === "a" ? [0.6, 0.8] : [0, 1],
+  }));
+
+  const results = await hybridSearch(memoryDb(chunks), {
+    query: "Issue 162396 corrigée en 5.2.3 ?",
+    queryEmbedding: [1, 0],
+    topK: 2,
+  });
+
+  assert.deepEqual(results.map((r) => r.chunkIndex), [0, 1]);
+  assert.equal(results[0].exactMatch, true);
+  assert.equal(results[1].exactMatch, false);
+  assert.equal(results.some((r) => "embedding" in r), false);
+  assert.equal(new Set(results.map((r) => r.chunkIndex)).size, results.length);
+});
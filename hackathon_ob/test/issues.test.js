@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+
+import { UNASSIGNED_COMPONENT, buildIssueFilter, extractIssues, getBuildVersion } from "../issues.js";
+
+const FILENAME = "Arista-VeloCloud-SD-WAN-5.2.3-Release-Notes.txt";
+
+async function extractReleaseNotes() {
+  const text = await readFile(new URL(`../documents/${FILENAME}`, import.meta.url), "utf8");
+  return extractIssues([{ text }], { filename: FILENAME });
+}
+
+function countFixes(issues, component) {
+  const counts = {};
+  for (const issue of issues) {
+    if (issue.status !== "resolved" || issue.component !== component) continue;
+    counts[issue.fixedIn] = (counts[issue.fixedIn] ?? 0) + 1;
+  }
+  return counts;
+}
+
+test("getBuildVersion lit la version d'un build", () => {
+  assert.equal(getBuildVersion("R5251-20250410-GA"), "5.2.5.1");
+  assert.equal(getBuildVersion("R6100-20250101-GA"), "6.1.0");
+  assert.equal(getBuildVersion("5.2.5"), null);
+});
+
+test("release notes 5.2.3 : issues corrigées par rollup Edge/Gateway", async () => {
+  const issues = await extractReleaseNotes();
+
+  // "Edge/Gateway version ..." comme "Edge/Gateway build ... was released" ;
+  // le rollup 5.2.3.1 (Gateway seul) n'apporte aucune correction
+  assert.deepEqual(countFixes(issues, "Edge/Gateway"), {
+    "5.2.3.4": 7,
+    "5.2.3.3": 13,
+    "5.2.3.2": 20,
+    "5.2.3": 34,
+  });
+  assert.equal(issues.find((i) => i.issueId === "162396").build, "R5234-20250527-GA-162396");
+});
+
+test("release notes 5.2.3 : issues corrigées par rollup Orchestrator", async () => {
+  const issues = await extractReleaseNotes();
+
+  assert.deepEqual(countFixes(issues, "Orchestrator"), {
+    "5.2.3.9": 2,
+    "5.2.3.8": 2,
+    "5.2.3.7": 4,
+    "5.2.3.6": 6,
+    "5.2.3.5": 1,
+    "5.2.3.4": 5,
+    "5.2.3.3": 1,
+    "5.2.3.2": 2,
+    "5.2.3.1": 4,
+    "5.2.3": 37,
+  });
+  assert.equal(issues.filter((i) => i.status === "known").length, 75);
+});
+
+test("release notes 5.2.3 : les annonces de build ne débordent pas dans les descriptions", async () => {
+  const issues = await extractReleaseNotes();
+  const polluted = issues.filter((i) =>
+    /\b(?:version|build)\s+R\d{4}-\d{8}\S*\s+was\s+released/i.test(
+      `${i.description} ${i.workaround ?? ""}`,
+    ),
+  );
+
+  assert.deepEqual(polluted.map((i) => i.issueId), []);
+});
+
+test("buildIssueFilter : un composant couvre ses issues partagées, unassigned les issues sans composant", () => {
+  assert.deepEqual(buildIssueFilter({ component: "Edge" }), {
+    component: { $in: ["Edge/Gateway", "Edge"] },
+  });
+  assert.deepEqual(buildIssueFilter({ component: "Orchestrator", status: "known" }), {
+    status: "known",
+    component: { $in: ["Orchestrator"] },
+  });
+  // component null (ou absent) : jamais couvert par un composant nommé
+  assert.deepEqual(buildIssueFilter({ component: UNASSIGNED_COMPONENT }), { component: null });
+});
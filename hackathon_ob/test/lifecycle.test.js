@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildLifecycleTimeline,
+  getLifecycle,
+  getLifecycleStatus,
+  getQuarter,
+} from "../lifecycle.js";
+
+const asOf = new Date("2026-10-19");
+const status = (dates, options = {}) => getLifecycleStatus(dates, { asOf, ...options });
+
+test("getLifecycleStatus : EOL à partir du jour de fin de support", () => {
+  assert.equal(status({ eosDate: "2020-01-01", eolDate: "2026-10-19" }), "EOL");
+  assert.equal(status({ eolDate: "2026-10-18" }), "EOL");
+  assert.equal(status({ eolDate: "2026-10-20" }), "APPROACHING_EOL");
+  // Date avec heure : encore supporté jusqu'à l'heure dite
+  assert.equal(status({ eolDate: "2026-10-19T12:00:00Z" }), "APPROACHING_EOL");
+});
+
+test("getLifecycleStatus : fenêtre APPROACHING_EOL bornes comprises", () => {
+  assert.equal(status({ eolDate: "2027-10-19" }), "APPROACHING_EOL"); // 365 jours
+  assert.equal(status({ eolDate: "2027-10-20" }), "CURRENT"); // 366 jours
+  assert.equal(status({ eolDate: "2027-10-20", eosDate: "2026-01-01" }), "EOS");
+  assert.equal(status({ eolDate: "2026-12-18" }, { approachingDays: 60 }), "APPROACHING_EOL");
+  assert.equal(status({ eolDate: "2026-12-19" }, { approachingDays: 60 }), "CURRENT");
+});
+
+test("getLifecycleStatus : EOS à partir du jour de fin de commercialisation", () => {
+  assert.equal(status({ eosDate: "2026-10-19", eolDate: "2030-01-01" }), "EOS");
+  assert.equal(status({ eosDate: "2026-10-20", eolDate: "2030-01-01" }), "CURRENT");
+});
+
+test("getLifecycleStatus : dates absentes", () => {
+  assert.equal(status({}), "CURRENT");
+  assert.equal(status(undefined), "CURRENT");
+  assert.equal(status(null), "CURRENT");
+  assert.equal(status({ eosDate: null, eolDate: null }), "CURRENT");
+  assert.equal(status({ eosDate: "2025-01-01" }), "EOS");
+  assert.equal(status({ eolDate: "2025-01-01" }), "EOL");
+});
+
+test("getLifecycle retourne dates et jours restants", () => {
+  assert.deepEqual(
+    getLifecycle(
+      { eosDate: "2026-09-19", eolDate: "2027-01-17", replacement: "Edge 4100", alternatives: ["Edge 740"] },
+      { asOf },
+    ),
+    {
+      status: "APPROACHING_EOL",
+      eosDate: "2026-09-19",
+      eolDate: "2027-01-17",
+      daysToEos: -30,
+      daysToEol: 90,
+      replacement: "Edge 4100",
+      alternatives: ["Edge 740"],
+    },
+  );
+  assert.deepEqual(getLifecycle(null, { asOf }), {
+    status: "CURRENT",
+    eosDate: null,
+    eolDate: null,
+    daysToEos: null,
+    daysToEol: null,
+    replacement: null,
+    alternatives: [],
+  });
+});
+
+test("getQuarter", () => {
+  assert.equal(getQuarter("2025-09-30"), "2025-Q3");
+  assert.equal(getQuarter("2025-10-01"), "2025-Q4");
+});
+
+const models = [
+  { model: "Edge 840", eosDate: "2024-12-15", eolDate: "2025-03-01" },
+  { model: "Edge 500", eosDate: "2024-11-01", eolDate: null },
+  { model: "Edge 610", eosDate: null, eolDate: null },
+  { model: "Edge 2000", eosDate: "2024-10-01", eolDate: "2025-02-01" },
+];
+const hosts = [
+  { host: "a", model: "Edge 840" },
+  { host: "b", model: "Edge 840" },
+  { host: "c", model: "Edge 500" },
+  { host: "d", model: "Edge 610" },
+];
+
+test("buildLifecycleTimeline compte les hosts par trimestre, trimestres vides compris", () => {
+  assert.deepEqual(buildLifecycleTimeline(hosts, models), [
+    {
+      quarter: "2024-Q4",
+      eos: 3,
+      eol: 0,
+      models: [
+        { event: "eos", model: "Edge 500", date: "2024-11-01", hosts: 1 },
+        { event: "eos", model: "Edge 840", date: "2024-12-15", hosts: 2 },
+      ],
+    },
+    {
+      quarter: "2025-Q1",
+      eos: 0,
+      eol: 2,
+      models: [{ event: "eol", model: "Edge 840", date: "2025-03-01", hosts: 2 }],
+    },
+  ]);
+});
+
+test("buildLifecycleTimeline borne la période et gère l'absence d'événement", () => {
+  const timeline = buildLifecycleTimeline(hosts, models, {
+    from: new Date("2024-12-01"),
+    to: new Date("2025-09-30"),
+  });
+  assert.deepEqual(
+    timeline.map((q) => [q.quarter, q.eos, q.eol]),
+    [
+      ["2024-Q4", 2, 0],
+      ["2025-Q1", 0, 2],
+      ["2025-Q2", 0, 0],
+      ["2025-Q3", 0, 0],
+    ],
+  );
+  assert.deepEqual(buildLifecycleTimeline([], models), []);
+  assert.deepEqual(buildLifecycleTimeline([{ host: "d", model: "Edge 610" }], models), []);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_HEADROOM,
+  getCandidateModels,
+  recommendFleet,
+  recommendModel,
+} from "../right-sizing.js";
+
+function edge(model, maxThroughput, maxTunnels, extra = {}) {
+  return {
+    model,
+    type: "Edge",
+    status: "CURRENT",
+    specifications: {
+      maxThroughput,
+      maxTunnels,
+      maxFlowsPerSecond: maxThroughput * 10,
+      maxFlows: maxThroughput * 100,
+      maxNatEntries: maxThroughput * 100,
+      ports: { rj45: 4, sfp: 2 },
+    },
+    ...extra,
+  };
+}
+
+const models = [
+  edge("Edge 1000", 1000, 500),
+  edge("Edge 610", 350, 50),
+  edge("Edge 710", 350, 200),
+  edge("Edge 500", 100, 50, { status: "EOL" }),
+  edge("Edge 620", 700, 100, { status: "APPROACHING_EOL" }),
+  edge("Gateway 2000", 5000, 5000, { type: "Gateway" }),
+  { model: "Edge 3800", type: "Edge", status: "CURRENT", specifications: { maxThroughput: 3000 } },
+];
+const candidates = getCandidateModels(models);
+
+test("getCandidateModels ne garde que les Edges CURRENT entièrement spécifiés, du plus petit au plus grand", () => {
+  assert.deepEqual(
+    candidates.map((m) => m.model),
+    ["Edge 610", "Edge 710", "Edge 1000"],
+  );
+});
+
+test("recommendModel retient le plus petit modèle qui couvre la charge avec marge", () => {
+  const result = recommendModel(
+    { host: "paris-01", model: "Edge 500", throughput: 300, tunnels: 40, target: { model: "Edge 610" } },
+    candidates,
+  );
+
+  assert.equal(result.recommended, "Edge 610");
+  assert.equal(result.matchesStudy, true);
+  assert.deepEqual(result.limitingDimensions, []);
+  const throughput = result.dimensions.find((d) => d.dimension === "throughput");
+  assert.equal(throughput.required, 300 * (1 + DEFAULT_HEADROOM));
+  assert.equal(throughput.capacity, 350);
+});
+
+test("recommendModel remonte la dimension limitante même quand le débit tient", () => {
+  // 46 tunnels + 15 % = 52,9 > 50 : l'Edge 610 est exclu par les tunnels
+  const result = recommendModel({ host: "lyon-01", model: "Edge 610", throughput: 100, tunnels: 46 }, candidates);
+
+  assert.equal(result.recommended, "Edge 710");
+  assert.equal(result.matchesStudy, null);
+  assert.deepEqual(result.limitingDimensions, ["tunnels"]);
+
+  // Sans marge, les 46 tunnels tiennent sur l'Edge 610
+  assert.equal(
+    recommendModel({ host: "lyon-01", model: "Edge 610", throughput: 100, tunnels: 46 }, candidates, 0).recommended,
+    "Edge 610",
+  );
+});
+
+test("recommendModel compte les ports sans marge", () => {
+  const fits = recommendModel({ host: "nice-01", model: "Edge 610", throughput: 10, ports: { rj45: 4 } }, candidates);
+  assert.equal(fits.recommended, "Edge 610");
+  assert.equal(fits.dimensions.find((d) => d.dimension === "rj45").required, 4);
+
+  const none = recommendModel({ host: "nice-01", model: "Edge 610", throughput: 10, ports: { sfp: 3 } }, candidates);
+  assert.equal(none.recommended, null);
+  assert.equal(none.reason, "Aucun modèle candidat ne couvre la charge mesurée");
+  assert.deepEqual(none.limitingDimensions, ["sfp"]);
+});
+
+test("recommendModel ignore les mesures absentes et signale un host sans mesure", () => {
+  const partial = recommendModel({ host: "brest-01", model: "Edge 610", flows: 20000 }, candidates);
+  assert.equal(partial.recommended, "Edge 610");
+  assert.equal(partial.dimensions.find((d) => d.dimension === "throughput").ratio, null);
+
+  assert.deepEqual(recommendModel({ host: "brest-02", model: "Edge 610" }, candidates), {
+    host: "brest-02",
+    model: "Edge 610",
+    studyTarget: null,
+    recommended: null,
+    reason: "Aucune valeur mesurée",
+    limitingDimensions: [],
+  });
+});
+
+test("recommendFleet agrège les recommandations par modèle", () => {
+  const fleet = recommendFleet(
+    [
+      { host: "paris-01", model: "Edge 500", throughput: 300, target: { model: "Edge 710" } },
+      { host: "lyon-01", model: "Edge 610", throughput: 100, tunnels: 46 },
+      { host: "brest-02", model: "Edge 610" },
+    ],
+    models,
+  );
+
+  assert.equal(fleet.headroom, DEFAULT_HEADROOM);
+  assert.deepEqual(fleet.candidates, ["Edge 610", "Edge 710", "Edge 1000"]);
+  assert.deepEqual(fleet.summary, {
+    hosts: 3,
+    recommended: 2,
+    unresolved: 1,
+    matchesStudy: 0,
+    byModel: { "Edge 610": 1, "Edge 710": 1 },
+  });
+});
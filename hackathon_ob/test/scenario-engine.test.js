@@ -0,0 +1,195 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ACTIONS,
+  DEFAULT_COSTS,
+  compareScenarios,
+  computeScenario,
+  normalizeScenarioInputs,
+} from "../scenario-engine.js";
+import { indexPricing } from "../financial.js";
+
+const models = [
+  { model: "Edge 500", status: "EOL", replacement: "Edge 610", specifications: { maxThroughput: 100 } },
+  { model: "Edge 610", status: "CURRENT", replacement: "Edge 620", specifications: { maxThroughput: 350 } },
+  { model: "Edge 840", status: "EOL", replacement: "Edge 710", specifications: { maxThroughput: 1000 } },
+  { model: "Edge 2000", status: "APPROACHING_EOL", replacement: "Edge 3810", specifications: { maxThroughput: 5000 } },
+];
+
+const hosts = [
+  { host: "paris-01", model: "Edge 500", softwareVersion: "5.2.0", throughput: 40 },
+  { host: "lyon-01", model: "Edge 610", softwareVersion: "5.2.0", throughput: 300 },
+  { host: "nice-01", model: "Edge 610", softwareVersion: "5.2.0", throughput: 100 },
+  { host: "lille-01", model: "Edge 2000", softwareVersion: "5.2.0", throughput: 1000 },
+];
+
+const compatibility = [{ model: "Edge 2000", minTrain: null, maxTrain: "6.1" }];
+
+const versionPaths = [
+  { versionRange: "5.2.x to 6.1.0", duration: "30 min" },
+  { versionRange: "6.1.x to 6.4.1", duration: "30 min" },
+];
+
+const releases = [
+  { release: "6.1", edge: "LTS", supported: true },
+  { release: "6.4", edge: "LTS Candidate", supported: true },
+];
+
+function scenario(body) {
+  const { inputs, error } = normalizeScenarioInputs(body);
+  assert.equal(error, undefined);
+  return computeScenario({ hosts, models, versionPaths, compatibility, releases, inputs });
+}
+
+test("normalizeScenarioInputs applique les valeurs par défaut", () => {
+  assert.deepEqual(normalizeScenarioInputs({ targetVersion: "6.4.1" }), {
+    inputs: {
+      targetVersion: "6.4.1",
+      strategy: "conservative",
+      costs: DEFAULT_COSTS,
+      throughputThreshold: 0.7,
+    },
+    name: null,
+  });
+});
+
+test("normalizeScenarioInputs fusionne les coûts et nettoie le nom", () => {
+  const { inputs, name } = normalizeScenarioInputs({
+    name: "  Plan 2027 ",
+    targetVersion: "6.4.1",
+    costs: { softwareUpgrade: 80 },
+  });
+  assert.equal(name, "Plan 2027");
+  assert.deepEqual(inputs.costs, { ...DEFAULT_COSTS, softwareUpgrade: 80 });
+});
+
+test("normalizeScenarioInputs rejette les paramètres invalides", () => {
+  const cases = [
+    [{ targetVersion: "6.4.1", name: "" }, "name doit être une chaîne non vide"],
+    [{ targetVersion: "6.4.1", name: 42 }, "name doit être une chaîne non vide"],
+    [{}, "targetVersion doit être une version (ex. 6.4.0)"],
+    [{ targetVersion: "6.x" }, "targetVersion doit être une version (ex. 6.4.0)"],
+    [{ targetVersion: "6.4.1", strategy: "aggressive" }, "strategy doit valoir conservative ou performance"],
+    [{ targetVersion: "6.4.1", costs: [] }, "costs doit être un objet"],
+    [{ targetVersion: "6.4.1", costs: { shipping: 10 } }, "Coût inconnu: shipping"],
+    [{ targetVersion: "6.4.1", costs: { softwareUpgrade: -1 } }, "Le coût softwareUpgrade doit être un nombre positif"],
+    [{ targetVersion: "6.4.1", throughputThreshold: 1.5 }, "throughputThreshold doit être compris entre 0 et 1"],
+  ];
+  for (const [body, error] of cases) {
+    assert.deepEqual(normalizeScenarioInputs(body), { error });
+  }
+});
+
+test("computeScenario conservateur : EOL, incompatibilité et chemin de mise à jour", () => {
+  const result = scenario({ targetVersion: "6.4.1" });
+
+  assert.deepEqual(
+    result.actions.map((a) => [a.host, a.action, a.target, a.cost, a.isBlocker]),
+    [
+      ["paris-01", ACTIONS.EOL_REPLACEMENT, "Edge 610", 2500, true],
+      ["lyon-01", ACTIONS.SOFTWARE_UPGRADE, "6.4.1", 50, false],
+      ["nice-01", ACTIONS.SOFTWARE_UPGRADE, "6.4.1", 50, false],
+      ["lille-01", ACTIONS.INCOMPATIBLE_REPLACEMENT, "Edge 3810", 2000, true],
+    ],
+  );
+  assert.deepEqual(result.actions[1].upgradePath, [
+    { version: "6.1.0", releaseType: "LTS" },
+    { version: "6.4.1", releaseType: "LTS Candidate" },
+  ]);
+  assert.equal(result.actions[1].utilization, 86);
+  assert.equal(result.actions[0].upgradePath, null);
+
+  assert.deepEqual(result.totals, { hosts: 4, compatible: 2, replace: 2, totalCost: 4600 });
+  assert.deepEqual(result.blockers, [
+    { action: ACTIONS.EOL_REPLACEMENT, count: 1, hosts: ["paris-01"] },
+    { action: ACTIONS.INCOMPATIBLE_REPLACEMENT, count: 1, hosts: ["lille-01"] },
+  ]);
+});
+
+test("computeScenario signale les remplacements fondés sur une borne supposée", () => {
+  const { inputs } = normalizeScenarioInputs({ targetVersion: "6.4.1" });
+  const result = computeScenario({
+    hosts,
+    models,
+    versionPaths,
+    compatibility: [{ model: "Edge 2000", minTrain: null, maxTrain: "6.1", assumption: true }],
+    releases,
+    inputs,
+  });
+
+  assert.deepEqual(
+    result.actions.map((a) => [a.host, a.action, a.assumption]),
+    [
+      ["paris-01", ACTIONS.EOL_REPLACEMENT, false],
+      ["lyon-01", ACTIONS.SOFTWARE_UPGRADE, false],
+      ["nice-01", ACTIONS.SOFTWARE_UPGRADE, false],
+      ["lille-01", ACTIONS.INCOMPATIBLE_REPLACEMENT, true],
+    ],
+  );
+});
+
+test("computeScenario performance : remplacement au-delà du seuil d'utilisation", () => {
+  const result = scenario({ targetVersion: "6.1.0", strategy: "performance" });
+  const lyon = result.actions.find((a) => a.host === "lyon-01");
+  const lille = result.actions.find((a) => a.host === "lille-01");
+
+  assert.equal(lyon.action, ACTIONS.PERFORMANCE_UPGRADE);
+  assert.equal(lyon.target, "Edge 620");
+  assert.equal(lyon.cost, DEFAULT_COSTS.performanceUpgrade);
+  // 6.1 reste dans la plage supportée de l'Edge 2000
+  assert.equal(lille.action, ACTIONS.SOFTWARE_UPGRADE);
+  assert.deepEqual(lille.upgradePath, [{ version: "6.1.0", releaseType: "LTS" }]);
+  assert.deepEqual(result.totals, { hosts: 4, compatible: 2, replace: 2, totalCost: 5600 });
+});
+
+test("computeScenario utilise le prix catalogue et la pose quand la cible est tarifée", () => {
+  const prices = indexPricing([
+    { category: "hardware", model: "Edge 610", price: 900 },
+    { category: "labor", intervention: "hardwareReplacement", price: 150 },
+  ]);
+  const { inputs } = normalizeScenarioInputs({ targetVersion: "6.4.1" });
+  const result = computeScenario({ hosts, models, versionPaths, compatibility, releases, inputs, prices });
+
+  assert.equal(result.actions[0].cost, 1050);
+  // Edge 3810 absent de la grille : forfait
+  assert.equal(result.actions[3].cost, DEFAULT_COSTS.incompatibleReplacement);
+});
+
+test("compareScenarios ne retourne que les hosts modifiés", () => {
+  const a = { _id: "a", name: "Conservateur", ...scenario({ targetVersion: "6.4.1" }) };
+  const b = {
+    _id: "b",
+    name: "Performance",
+    ...scenario({ targetVersion: "6.4.1", strategy: "performance" }),
+  };
+  const comparison = compareScenarios(a, b);
+
+  assert.equal(comparison.changedHosts, 1);
+  assert.deepEqual(comparison.changes, [
+    {
+      host: "lyon-01",
+      model: "Edge 610",
+      a: { action: ACTIONS.SOFTWARE_UPGRADE, target: "6.4.1", cost: 50 },
+      b: { action: ACTIONS.PERFORMANCE_UPGRADE, target: "Edge 620", cost: 3000 },
+      costDelta: 2950,
+    },
+  ]);
+  assert.deepEqual(comparison.totalsDelta, { compatible: -1, replace: 1, totalCost: 2950 });
+});
+
+test("compareScenarios signale les hosts présents dans un seul scénario", () => {
+  const a = scenario({ targetVersion: "6.4.1" });
+  const b = { ...a, actions: a.actions.slice(0, 3) };
+  const comparison = compareScenarios(a, b);
+
+  assert.deepEqual(comparison.changes, [
+    {
+      host: "lille-01",
+      model: "Edge 2000",
+      a: { action: ACTIONS.INCOMPATIBLE_REPLACEMENT, target: "Edge 3810", cost: 2000 },
+      b: null,
+      costDelta: -2000,
+    },
+  ]);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveUpgradePath } from "../upgrade-path.js";
+
+const versionPaths = [
+  { versionRange: "4.x to 5.2.3", duration: "45 min" },
+  { versionRange: "5.2.x to 6.1.0", duration: "30 min" },
+  { versionRange: "5.2.x to 6.4.1" },
+  { versionRange: "6.1.x to 6.4.1", duration: "30 min" },
+];
+
+const releases = [
+  { release: "5.2.3", edge: "LTS", supported: true },
+  { release: "6.4", edge: "LTS Candidate", supported: true },
+];
+
+test("resolveUpgradePath retourne la plus courte chaîne d'étapes", () => {
+  const { found, steps } = resolveUpgradePath(versionPaths, "4.5.0", "6.4.1", releases);
+
+  assert.equal(found, true);
+  assert.deepEqual(
+    steps.map((s) => [s.from, s.version, s.releaseType, s.duration]),
+    [
+      ["4.5.0", "5.2.3", "LTS", "45 min"],
+      ["5.2.3", "6.4.1", "LTS Candidate", null],
+    ],
+  );
+});
+
+test("resolveUpgradePath : release absente du catalogue en STS", () => {
+  const path = resolveUpgradePath(versionPaths, "5.2.0", "6.1.0", releases);
+  assert.deepEqual(path.steps.map((s) => s.releaseType), ["STS"]);
+});
+
+test("resolveUpgradePath : même release ou retour arrière sans étape", () => {
+  assert.deepEqual(resolveUpgradePath(versionPaths, "6.4.1.2", "6.4.1"), { found: true, steps: [] });
+  assert.deepEqual(resolveUpgradePath(versionPaths, "6.4.1", "5.2.3"), { found: true, steps: [] });
+});
+
+test("resolveUpgradePath : aucune chaîne ou version invalide", () => {
+  assert.deepEqual(resolveUpgradePath(versionPaths, "3.4.0", "6.4.1"), { found: false, steps: [] });
+  assert.throws(() => resolveUpgradePath(versionPaths, "abc", "6.4.1"), /Version invalide: abc/);
+});
@@ -0,0 +1,211 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createValidator, toOpenApiPath, validateValue } from "../validation.js";
+import { swaggerSpec } from "../swagger.js";
+
+// Spécification réduite : une route de lecture et une route d'écriture
+const spec = {
+  components: {
+    parameters: {
+      Limit: { in: "query", name: "limit", schema: { type: "integer", minimum: 1, maximum: 100 } },
+    },
+    schemas: {
+      Model: {
+        type: "object",
+        required: ["model", "type"],
+        properties: {
+          model: { type: "string", maxLength: 40 },
+          type: { type: "string", enum: ["Edge", "Gateway"] },
+          eolDate: { type: "string", format: "date", nullable: true },
+          ports: { type: "array", maxItems: 2, items: { type: "integer", minimum: 1 } },
+          status: { type: "string", readOnly: true },
+        },
+      },
+    },
+  },
+  paths: {
+    "/api/models": {
+      get: {
+        parameters: [
+          { in: "query", name: "model", schema: { type: "string" } },
+          { in: "query", name: "active", schema: { type: "boolean" } },
+          { $ref: "#/components/parameters/Limit" },
+        ],
+      },
+    },
+    "/api/models/{modelName}": {
+      put: {
+        parameters: [{ in: "path", name: "modelName", required: true, schema: { type: "string" } }],
+        requestBody: { content: { "application/json": { schema: { $ref: "#/components/schemas/Model" } } } },
+      },
+      patch: {
+        requestBody: { content: { "application/json": { schema: { $ref: "#/components/schemas/Model" } } } },
+      },
+    },
+  },
+};
+
+function validateRequest(validator, { method = "GET", path, query = {}, params = {}, body }) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  let passed = false;
+  validator({ method, route: { path }, query, params, body }, res, () => {
+    passed = true;
+  });
+  return passed ? null : res;
+}
+
+const validate = createValidator(spec);
+
+test("toOpenApiPath convertit les paramètres de chemin Express", () => {
+  assert.equal(toOpenApiPath("/api/hosts/:hostname/history"), "/api/hosts/{hostname}/history");
+});
+
+test("validateValue contrôle type, bornes, format et motif", () => {
+  assert.equal(validateValue("12", { type: "integer", minimum: 1 }), null);
+  assert.equal(validateValue("1.5", { type: "integer" }), "entier attendu");
+  assert.equal(validateValue("abc", { type: "number" }), "nombre attendu");
+  assert.equal(validateValue("0", { type: "integer", minimum: 1 }), "minimum 1");
+  assert.equal(validateValue("yes", { type: "boolean" }), "true ou false attendu");
+  assert.equal(validateValue("2026-02-30x", { type: "string", format: "date" }), "date AAAA-MM-JJ attendue");
+  assert.equal(validateValue("EOS", { type: "string", enum: ["EOL"] }), "valeurs acceptées : EOL");
+  assert.equal(validateValue(["a"], { type: "string" }), "valeur simple attendue");
+});
+
+test("les valeurs objet ou tableau de la requête sont refusées (injection d'opérateurs)", () => {
+  for (const query of [
+    { model: { $ne: "x" } },
+    { model: ["Edge 840", "Edge 610"] },
+    // Paramètre non déclaré : jamais transmis à MongoDB sous forme d'objet
+    { type: { $gt: "" } },
+  ]) {
+    const res = validateRequest(validate, { path: "/api/models", query });
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+    assert.match(res.body.message, /valeur simple attendue/);
+  }
+});
+
+test("les paramètres mal typés sont refusés, les chaînes non déclarées tolérées", () => {
+  const res = validateRequest(validate, {
+    path: "/api/models",
+    query: { limit: "abc", active: "oui" },
+  });
+  assert.deepEqual(res.body, {
+    success: false,
+    error: "Paramètres invalides",
+    message: "active : true ou false attendu ; limit : entier attendu",
+  });
+
+  assert.equal(validateRequest(validate, { path: "/api/models", query: { limit: "500" } }).body.message, "limit : maximum 100");
+  assert.equal(validateRequest(validate, { path: "/api/models", query: { limit: "10", other: "x" } }), null);
+});
+
+test("le corps est validé contre le schéma de la requête", () => {
+  const put = (body) =>
+    validateRequest(validate, {
+      method: "PUT",
+      path: "/api/models/:modelName",
+      params: { modelName: "Edge 610" },
+      body,
+    });
+
+  assert.equal(put({ model: "Edge 610", type: "Edge", eolDate: null, ports: [1, 2] }), null);
+  assert.equal(put({ model: "Edge 610" }).body.message, "type : champ requis");
+  assert.equal(put({ model: "Edge 610", type: "Router" }).body.message, "type : valeurs acceptées : Edge, Gateway");
+  assert.equal(put({ model: "Edge 610", type: "Edge", color: "red" }).body.message, "color : propriété inconnue");
+  assert.equal(put({ model: "Edge 610", type: "Edge", status: "EOL" }).body.message, "status : propriété en lecture seule");
+  assert.equal(put({ model: "Edge 610", type: "Edge", eolDate: "31/12/2027" }).body.message, "eolDate : date AAAA-MM-JJ attendue");
+  assert.equal(put({ model: "Edge 610", type: "Edge", ports: [1, 2, 3] }).body.message, "ports : 2 éléments au plus");
+  assert.equal(put({ model: "Edge 610", type: "Edge", ports: [0] }).body.message, "ports[0] : minimum 1");
+  assert.equal(put({ model: { $ne: null }, type: "Edge" }).body.message, "model : chaîne attendue");
+  assert.equal(put(null).body.message, "corps : valeur non nulle attendue");
+
+  // PATCH : champs requis non exigés
+  assert.equal(
+    validateRequest(validate, { method: "PATCH", path: "/api/models/:modelName", body: { type: "Edge" } }),
+    null,
+  );
+});
+
+test("la spécification de l'API restreint le tri des hosts à une liste de champs", () => {
+  const validateApi = createValidator(swaggerSpec);
+  const sort = (value) => validateRequest(validateApi, { path: "/api/hosts", query: { sort: value } });
+
+  assert.equal(sort("throughput:desc"), null);
+  assert.equal(sort("host"), null);
+  for (const value of ["password", "throughput:up", "host:asc;drop", "$where", "throughput:desc:asc"]) {
+    assert.equal(sort(value).statusCode, 400, value);
+    assert.equal(sort(value).body.message, "sort : format non autorisé");
+  }
+  assert.equal(
+    validateRequest(validateApi, { path: "/api/hosts", query: { model: { $ne: "x" } } }).statusCode,
+    400,
+  );
+});
+
+test("la spécification de l'API valide le corps et les identifiants des scénarios", () => {
+  const validateApi = createValidator(swaggerSpec);
+  const post = (body) => validateRequest(validateApi, { method: "POST", path: "/api/scenarios", body });
+
+  assert.equal(post({ targetVersion: "6.4.1", strategy: "performance", costs: { softwareUpgrade: 80 } }), null);
+  assert.equal(post({}).body.message, "targetVersion : champ requis");
+  assert.equal(post({ targetVersion: "6.x" }).body.message, "targetVersion : format non autorisé");
+  assert.equal(post({ targetVersion: "6.4.1", name: "  " }).body.message, "name : format non autorisé");
+  assert.equal(post({ targetVersion: "6.4.1", throughputThreshold: 2 }).body.message, "throughputThreshold : maximum 1");
+  assert.equal(post({ targetVersion: "6.4.1", costs: { shipping: 10 } }).body.message, "costs.shipping : propriété inconnue");
+  assert.equal(post({ targetVersion: "6.4.1", costs: { softwareUpgrade: -1 } }).body.message, "costs.softwareUpgrade : minimum 0");
+
+  const compare = (query) => validateRequest(validateApi, { path: "/api/scenarios/compare", query });
+  assert.equal(compare({ a: "0123456789abcdef01234567", b: "0123456789abcdef01234568" }), null);
+  assert.equal(compare({ a: "0123456789abcdef01234567" }).body.message, "b : paramètre requis");
+  assert.equal(
+    validateRequest(validateApi, { path: "/api/scenarios/:id", params: { id: "scenario" } }).body.message,
+    "id : format non autorisé",
+  );
+});
+
+test("la spécification de l'API valide les versions des releases et chemins de mise à niveau", () => {
+  const validateApi = createValidator(swaggerSpec);
+  const upgradePath = (query) => validateRequest(validateApi, { path: "/api/upgrade-path", query });
+
+  assert.equal(upgradePath({ from: "5.2.3.1", to: "6.4.1", model: "Edge 840" }), null);
+  assert.equal(upgradePath({ from: "5.2.3.1" }).body.message, "to : paramètre requis");
+  assert.equal(upgradePath({ from: "5.2.x", to: "6.4.1" }).body.message, "from : format non autorisé");
+  assert.equal(upgradePath({ from: "5.2.3", to: "6.4.1", model: { $ne: null } }).statusCode, 400);
+
+  const releases = (query) => validateRequest(validateApi, { path: "/api/releases", query });
+  assert.equal(releases({ supported: "true" }), null);
+  assert.equal(releases({ supported: "yes" }).body.message, "supported : true ou false attendu");
+  assert.equal(
+    validateRequest(validateApi, { path: "/api/releases/:version", params: { version: "6.x" } }).body.message,
+    "version : format non autorisé",
+  );
+  assert.equal(
+    validateRequest(validateApi, { path: "/api/version-paths/:versionRange", params: { versionRange: "5.2.x to 6.1.0" } }),
+    null,
+  );
+});
+
+test("la spécification de l'API valide les dates de l'échéancier du cycle de vie", () => {
+  const validateApi = createValidator(swaggerSpec);
+  const timeline = (query) => validateRequest(validateApi, { path: "/api/lifecycle/timeline", query });
+
+  assert.equal(timeline({ from: "2025-01-01", to: "2030-12-31" }), null);
+  assert.equal(timeline({ from: "01/01/2025" }).body.message, "from : date AAAA-MM-JJ attendue");
+  assert.equal(timeline({ to: "2025-13-45" }).body.message, "to : date AAAA-MM-JJ attendue");
+  assert.equal(
+    validateRequest(validateApi, { path: "/api/compatibility", query: { model: { $ne: null } } }).statusCode,
+    400,
+  );
+});
@@ -0,0 +1,75 @@
+// Résolution des chemins de mise à niveau logicielle
+// Chaque entrée de la collection versionPaths ("5.2.x to 6.1.0") est une
+// arête du graphe des versions ; on cherche la plus courte chaîne d'étapes.
+// Le type de release de chaque étape provient du catalogue des releases.
+
+import {
+  parseVersion,
+  parseVersionRange,
+  compareVersions,
+  matchesVersionPattern,
+} from "./versions.js";
+import { getVersionRelease } from "./releases.js";
+
+// Deux versions désignent la même release si leurs composantes communes
+// sont égales (6.4.1 et 6.4.1.2)
+function isSameRelease(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  const length = Math.min(va.parts.length, vb.parts.length);
+  return va.parts.slice(0, length).every((part, i) => part === vb.parts[i]);
+}
+
+/**
+ * Cherche la plus courte chaîne de mises à niveau de `from` vers `to`
+ * (parcours en largeur, une étape par entrée versionPaths), le type de
+ * release des étapes étant lu dans `releases` (collection releases).
+ * Retourne { found, steps } ; les étapes ne reviennent jamais en arrière.
+ */
+export function resolveUpgradePath(versionPaths, from, to, releases = []) {
+  if (!parseVersion(from) || !parseVersion(to)) {
+    throw new Error(`Version invalide: ${!parseVersion(from) ? from : to}`);
+  }
+
+  if (isSameRelease(from, to) || compareVersions(from, to) > 0) {
+    return { found: true, steps: [] };
+  }
+
+  const edges = versionPaths
+    .map((vp) => ({ ...parseVersionRange(vp.versionRange), path: vp }))
+    .filter((edge) => edge.from && edge.to);
+
+  const queue = [{ version: from, steps: [] }];
+  const visited = new Set([from]);
+
+  while (queue.length > 0) {
+    const { version, steps } = queue.shift();
+
+    for (const edge of edges) {
+      if (!matchesVersionPattern(version, edge.from)) continue;
+      if (compareVersions(edge.to, version) <= 0) continue;
+      if (compareVersions(edge.to, to) > 0 && !isSameRelease(edge.to, to)) continue;
+      if (visited.has(edge.to)) continue;
+
+      const nextSteps = [
+        ...steps,
+        {
+          from: version,
+          version: edge.to,
+          releaseType: getVersionRelease(releases, edge.to).releaseType,
+          versionRange: edge.path.versionRange,
+          duration: edge.path.duration ?? null,
+        },
+      ];
+
+      if (isSameRelease(edge.to, to)) {
+        return { found: true, steps: nextSteps };
+      }
+
+      visited.add(edge.to);
+      queue.push({ version: edge.to, steps: nextSteps });
+    }
+  }
+
+  return { found: false, steps: [] };
+}
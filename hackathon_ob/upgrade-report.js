@@ -0,0 +1,237 @@
+// Rapport de mise à niveau d'un hôte
+// Calcul pur (sans accès MongoDB) : à partir des issues extraites des release
+// notes, des chunks "Upgrade Notes" et de la matrice de compatibilité, liste
+// ce que change le passage de la version actuelle à la version cible et en
+// déduit un score de risque détaillé par facteur.
+
+import { compareVersions, parseVersion } from "./versions.js";
+import { filterIssues, isFixedBy } from "./issues.js";
+import { checkCompatibility } from "./compatibility.js";
+import { getVersionRelease } from "./releases.js";
+
+// Composants d'issues qui concernent un Edge (null : section sans composant)
+const EDGE_COMPONENTS = ["Edge/Gateway", "Edge", null];
+
+// Points de risque par facteur ; le score est plafonné à 100
+export const RISK_WEIGHTS = {
+  unsupportedTarget: 50,
+  noUpgradePath: 20,
+  extraHop: 5,
+  majorUpgrade: 10,
+  releaseType: { STS: 10, "LTS Candidate": 5, LTS: 0 },
+  newKnownIssue: 5,
+  newKnownIssuesMax: 30,
+  modelKnownIssue: 10,
+};
+
+// Seuils des niveaux de risque (score strictement inférieur)
+const RISK_LEVELS = [
+  { level: "low", below: 25 },
+  { level: "medium", below: 50 },
+  { level: "high", below: Infinity },
+];
+
+// Numéro de modèle d'un Edge : "Edge 510-LTE" -> "510-LTE"
+function getModelNumber(model) {
+  return (model || "").replace(/^Edge\s+/i, "");
+}
+
+// Numéros de modèles Edge cités dans un texte ("Edge 540, Edge 840", "Edge 4100")
+function findModelNumbers(text) {
+  return [...text.matchAll(/\bEdges?\s+(\d{3,4}(?:-?[A-Z0-9]+)?)/g)].map((m) => m[1]);
+}
+
+/**
+ * Indique si un texte cite un modèle : "Edge 840" est cité par "Edge 540,
+ * 840 and 1000", mais "Edge 510" ne l'est pas par "Edge 510-LTE".
+ */
+export function mentionsModel(text, model) {
+  const number = getModelNumber(model);
+  if (!number || !/\bEdge/i.test(text)) return false;
+  const escaped = number.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\w.-])${escaped}(?![\\w-])`, "i").test(text);
+}
+
+// Une issue par identifiant (version corrective la plus ancienne)
+function uniqueByIssue(issues) {
+  const byId = new Map();
+  for (const issue of issues) {
+    const existing = byId.get(issue.issueId);
+    if (
+      !existing ||
+      (issue.fixedIn && (!existing.fixedIn || compareVersions(issue.fixedIn, existing.fixedIn) < 0))
+    ) {
+      byId.set(issue.issueId, issue);
+    }
+  }
+  return [...byId.values()];
+}
+
+const withModel = (model) => (issue) => ({
+  ...issue,
+  mentionsModel: mentionsModel(issue.description, model),
+});
+
+/**
+ * Issues Edge corrigées en passant de `current` à `target` (rollups de la
+ * cible compris).
+ */
+export function getResolvedIssues(issues, current, target) {
+  return uniqueByIssue(
+    issues.filter(
+      (issue) =>
+        issue.status === "resolved" &&
+        EDGE_COMPONENTS.includes(issue.component) &&
+        compareVersions(issue.fixedIn, current) > 0 &&
+        isFixedBy(issue.fixedIn, target),
+    ),
+  );
+}
+
+/**
+ * Issues Edge connues de la cible qui n'affectaient pas la version actuelle.
+ */
+export function getNewKnownIssues(issues, current, target) {
+  const edgeIssues = issues.filter((issue) => EDGE_COMPONENTS.includes(issue.component));
+  const existing = new Set(
+    filterIssues(edgeIssues, { affects: current }).map((issue) => issue.issueId),
+  );
+  return uniqueByIssue(
+    filterIssues(edgeIssues, { affects: target }).filter((issue) => !existing.has(issue.issueId)),
+  );
+}
+
+/**
+ * Notes de mise à niveau des releases comprises entre `current` (exclue) et
+ * `target` qui concernent le modèle : celles qui le citent et celles qui ne
+ * citent aucun modèle Edge particulier. Les doublons (même texte) sont retirés.
+ */
+export function getUpgradeNotes(chunks, model, current, target) {
+  const seen = new Set();
+
+  return chunks
+    .filter((chunk) => {
+      if (chunk.section !== "Upgrade Notes" || !parseVersion(chunk.version)) return false;
+      if (compareVersions(chunk.version, current) <= 0 || !isFixedBy(chunk.version, target)) {
+        return false;
+      }
+      return findModelNumbers(chunk.text).length === 0 || mentionsModel(chunk.text, model);
+    })
+    .filter((chunk) => {
+      if (seen.has(chunk.text)) return false;
+      seen.add(chunk.text);
+      return true;
+    })
+    .sort((a, b) => compareVersions(a.version, b.version) || a.chunkIndex - b.chunkIndex)
+    .map((chunk) => ({
+      version: chunk.version,
+      filename: chunk.filename,
+      page: chunk.page ?? null,
+      mentionsModel: mentionsModel(chunk.text, model),
+      text: chunk.text,
+    }));
+}
+
+/**
+ * Score de risque (0-100), niveau et facteurs qui y contribuent.
+ */
+export function computeRisk({ current, target, releaseType, compatibility, upgradePath, newKnownIssues }) {
+  const factors = [];
+  const add = (factor, points, detail) => {
+    if (points > 0) factors.push({ factor, points, detail });
+  };
+
+  if (!compatibility.supported) {
+    const detail =
+      compatibility.reason === "ABOVE_MAX"
+        ? "Version cible au-delà du train maximum du modèle"
+        : "Version cible en deçà du train minimum du modèle";
+    add(
+      "unsupportedTarget",
+      RISK_WEIGHTS.unsupportedTarget,
+      compatibility.assumption ? `${detail} (borne supposée, non documentée)` : detail,
+    );
+  }
+
+  if (!upgradePath.found) {
+    add("noUpgradePath", RISK_WEIGHTS.noUpgradePath, "Aucun chemin de mise à niveau référencé");
+  } else if (upgradePath.steps.length > 1) {
+    add(
+      "extraHops",
+      (upgradePath.steps.length - 1) * RISK_WEIGHTS.extraHop,
+      `${upgradePath.steps.length} étapes de mise à niveau`,
+    );
+  }
+
+  if (parseVersion(target).major > parseVersion(current).major) {
+    add("majorUpgrade", RISK_WEIGHTS.majorUpgrade, `Changement de version majeure (${current} → ${target})`);
+  }
+
+  add("releaseType", RISK_WEIGHTS.releaseType[releaseType] ?? 0, `Release ${releaseType}`);
+
+  add(
+    "newKnownIssues",
+    Math.min(newKnownIssues.length * RISK_WEIGHTS.newKnownIssue, RISK_WEIGHTS.newKnownIssuesMax),
+    `${newKnownIssues.length} nouvelle(s) issue(s) connue(s) sur la cible`,
+  );
+
+  const modelIssues = newKnownIssues.filter((issue) => issue.mentionsModel);
+  add(
+    "modelKnownIssues",
+    modelIssues.length * RISK_WEIGHTS.modelKnownIssue,
+    `Issue(s) citant le modèle: ${modelIssues.map((issue) => issue.issueId).join(", ")}`,
+  );
+
+  const score = Math.min(100, factors.reduce((sum, f) => sum + f.points, 0));
+  const { level } = RISK_LEVELS.find((l) => score < l.below);
+  return { score, level, factors };
+}
+
+/**
+ * Rapport de mise à niveau d'un hôte vers `target`.
+ *   issues        : collection issues
+ *   chunks        : chunks de la section "Upgrade Notes"
+ *   compatibility : entrée de la matrice pour le modèle (ou null)
+ *   upgradePath   : résultat de resolveUpgradePath
+ *   releases      : collection releases (type de release de la cible)
+ */
+export function buildUpgradeReport({
+  host,
+  current,
+  target,
+  issues,
+  chunks,
+  compatibility,
+  upgradePath,
+  releases = [],
+}) {
+  const resolvedIssues = getResolvedIssues(issues, current, target).map(withModel(host.model));
+  const newKnownIssues = getNewKnownIssues(issues, current, target).map(withModel(host.model));
+  const compatibilityCheck = checkCompatibility(compatibility, target);
+  const { releaseType } = getVersionRelease(releases, target);
+
+  return {
+    host: host.host,
+    model: host.model,
+    currentVersion: current,
+    targetVersion: target,
+    releaseType,
+    compatibility: {
+      ...compatibilityCheck,
+      minTrain: compatibility?.minTrain ?? null,
+      maxTrain: compatibility?.maxTrain ?? null,
+    },
+    upgradePath: upgradePath.found ? upgradePath.steps : null,
+    resolvedIssues,
+    newKnownIssues,
+    upgradeNotes: getUpgradeNotes(chunks, host.model, current, target),
+    risk: computeRisk({
+      current,
+      target,
+      releaseType,
+      compatibility: compatibilityCheck,
+      upgradePath,
+      newKnownIssues,
+    }),
+  };
+}
@@ -0,0 +1,207 @@
+// Validation des requêtes d'après la spécification OpenAPI (swagger.js)
+// Les paramètres de chemin et de requête déclarés pour une route sont
+// contrôlés avant d'atteindre MongoDB : type, enum, bornes, format et motif.
+// Une valeur objet ou tableau (?model[$ne]=x, interprété par le parseur qs
+// d'Express) est toujours refusée, que le paramètre soit déclaré ou non.
+// Le corps JSON des écritures est contrôlé contre le schéma de la requête :
+// propriétés non déclarées et propriétés en lecture seule (champs calculés)
+// refusées, champs requis ignorés pour un PATCH.
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Chemin OpenAPI d'une route Express : "/api/hosts/:hostname" ->
+ * "/api/hosts/{hostname}".
+ */
+export function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, "{$1}");
+}
+
+// Résout une référence interne ("#/components/parameters/AsOf")
+function resolveRef(spec, object) {
+  if (!object?.$ref) return object;
+  return object.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], spec);
+}
+
+/**
+ * Contrôle une valeur brute (chaîne de la requête) contre un schéma.
+ * Retourne le message d'erreur, ou null si la valeur est valide.
+ */
+export function validateValue(value, schema = {}) {
+  if (typeof value !== "string") return "valeur simple attendue";
+
+  let typed = value;
+  switch (schema.type) {
+    case "integer":
+      if (!/^-?\d+$/.test(value)) return "entier attendu";
+      typed = Number(value);
+      break;
+    case "number":
+      typed = Number(value);
+      if (value.trim() === "" || !Number.isFinite(typed)) return "nombre attendu";
+      break;
+    case "boolean":
+      if (!["true", "false"].includes(value)) return "true ou false attendu";
+      break;
+  }
+
+  if (schema.enum && !schema.enum.map(String).includes(value)) {
+    return `valeurs acceptées : ${schema.enum.join(", ")}`;
+  }
+  if (schema.minimum !== undefined && typed < schema.minimum) {
+    return `minimum ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && typed > schema.maximum) {
+    return `maximum ${schema.maximum}`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `${schema.maxLength} caractères au plus`;
+  }
+  if (schema.format === "date" && (!DATE.test(value) || Number.isNaN(new Date(value).getTime()))) {
+    return "date AAAA-MM-JJ attendue";
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return "format non autorisé";
+  }
+  return null;
+}
+
+// Fusionne les schémas d'un allOf (propriétés et champs requis)
+function mergeAllOf(spec, schema) {
+  if (!schema.allOf) return schema;
+  const parts = schema.allOf.map((part) => mergeAllOf(spec, resolveRef(spec, part)));
+  const { allOf, ...rest } = schema;
+  return parts.reduce(
+    (merged, part) => ({
+      ...part,
+      ...merged,
+      properties: { ...merged.properties, ...part.properties },
+      required: [...(merged.required ?? []), ...(part.required ?? [])],
+    }),
+    { ...rest, type: "object", properties: {}, required: [] },
+  );
+}
+
+/**
+ * Erreurs de validation d'une valeur JSON contre un schéma. Avec `partial`,
+ * les champs requis de l'objet racine ne sont pas exigés (PATCH).
+ */
+export function validateSchema(spec, schema, value, { path = "", partial = false } = {}) {
+  const resolved = mergeAllOf(spec, resolveRef(spec, schema));
+  const at = path || "corps";
+  const errors = [];
+
+  if (value === null) {
+    if (!resolved.nullable) errors.push(`${at} : valeur non nulle attendue`);
+    return errors;
+  }
+
+  switch (resolved.type) {
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return [`${at} : objet attendu`];
+
+      if (!partial) {
+        for (const name of resolved.required ?? []) {
+          if (value[name] === undefined) errors.push(`${path ? `${path}.` : ""}${name} : champ requis`);
+        }
+      }
+      for (const [name, child] of Object.entries(value)) {
+        const property = resolved.properties?.[name];
+        const childPath = path ? `${path}.${name}` : name;
+        if (!property) {
+          errors.push(`${childPath} : propriété inconnue`);
+        } else if (property.readOnly || resolveRef(spec, property).readOnly) {
+          errors.push(`${childPath} : propriété en lecture seule`);
+        } else {
+          errors.push(...validateSchema(spec, property, child, { path: childPath }));
+        }
+      }
+      return errors;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return [`${at} : tableau attendu`];
+      if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+        return [`${at} : ${resolved.maxItems} éléments au plus`];
+      }
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(spec, resolved.items ?? {}, item, { path: `${path}[${i}]` }));
+      });
+      return errors;
+    }
+    case "string":
+      if (typeof value !== "string") return [`${at} : chaîne attendue`];
+      break;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return [`${at} : nombre attendu`];
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return [`${at} : booléen attendu`];
+      break;
+  }
+
+  const error = validateValue(String(value), resolved);
+  return error ? [`${at} : ${error}`] : [];
+}
+
+/**
+ * Erreurs de validation des paramètres d'une requête.
+ */
+export function validateParameters(parameters, { query = {}, params = {} }) {
+  const errors = [];
+  const declared = new Set();
+
+  for (const parameter of parameters) {
+    if (!["query", "path"].includes(parameter.in)) continue;
+    const source = parameter.in === "path" ? params : query;
+    const value = source[parameter.name];
+    if (parameter.in === "query") declared.add(parameter.name);
+
+    if (value === undefined) {
+      if (parameter.required) errors.push(`${parameter.name} : paramètre requis`);
+      continue;
+    }
+
+    const error = validateValue(value, parameter.schema);
+    if (error) errors.push(`${parameter.name} : ${error}`);
+  }
+
+  for (const [name, value] of Object.entries(query)) {
+    if (!declared.has(name) && typeof value !== "string") {
+      errors.push(`${name} : valeur simple attendue`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Middleware Express de validation d'une route d'après la spécification :
+ * réponse 400 { success, error, message } si un paramètre ou le corps est
+ * invalide.
+ */
+export function createValidator(spec) {
+  return (req, res, next) => {
+    const method = req.method.toLowerCase();
+    const operation = spec.paths?.[toOpenApiPath(req.route.path)]?.[method];
+    const parameters = (operation?.parameters ?? []).map((p) => resolveRef(spec, p));
+    const errors = validateParameters(parameters, req);
+
+    const bodySchema = operation?.requestBody?.content?.["application/json"]?.schema;
+    if (bodySchema) {
+      errors.push(...validateSchema(spec, bodySchema, req.body ?? null, { partial: method === "patch" }));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Paramètres invalides",
+        message: errors.join(" ; "),
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,101 @@
+// Base vectorielle des chunks documentaires (MongoDB)
+// Chaque chunk est un document de la collection "chunks" ; le modèle
+// d'embedding, les paramètres de découpage et l'empreinte de chaque fichier
+// indexé sont conservés dans la collection "indexMeta".
+
+import { versionPrefixPattern } from "./versions.js";
+
+export const CHUNKS_COLLECTION = "chunks";
+export const META_COLLECTION = "indexMeta";
+const META_ID = "chunks";
+
+// Champs filtrables des chunks (paramètre de requête -> champ)
+export const CHUNK_FILTERS = ["filename", "version", "section"];
+
+/**
+ * Filtre MongoDB à partir des critères fournis (filename, version, section).
+ * La version "6.4" couvre aussi bien les release notes 6.4 que 6.4.1.
+ */
+export function buildChunkFilter({ filename, version, section } = {}) {
+  const filter = {};
+  if (filename) filter.filename = filename;
+  if (section) filter.section = section;
+  if (version) filter.version = { $regex: versionPrefixPattern(version) };
+  return filter;
+}
+
+export function cosineSimilarity(a, b) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Métadonnées de l'index (null si aucun document n'a été indexé).
+ */
+export async function getIndexMeta(db) {
+  return db.collection(META_COLLECTION).findOne({ _id: META_ID });
+}
+
+export async function saveIndexMeta(db, meta) {
+  await db
+    .collection(META_COLLECTION)
+    .replaceOne({ _id: META_ID }, { _id: META_ID, ...meta }, { upsert: true });
+}
+
+export async function ensureChunkIndexes(db) {
+  const chunks = db.collection(CHUNKS_COLLECTION);
+  await Promise.all([
+    chunks.createIndex({ filename: 1, chunkIndex: 1 }, { unique: true }),
+    chunks.createIndex({ version: 1 }),
+    chunks.createIndex({ section: 1 }),
+    chunks.createIndex({ issueIds: 1 }),
+  ]);
+}
+
+/**
+ * Remplace les chunks d'un fichier (ré-indexation d'un fichier modifié).
+ */
+export async function replaceFileChunks(db, filename, chunks) {
+  const collection = db.collection(CHUNKS_COLLECTION);
+  await collection.deleteMany({ filename });
+  if (chunks.length > 0) {
+    await collection.insertMany(chunks.map((chunk) => ({ ...chunk, filename })));
+  }
+}
+
+export async function deleteFileChunks(db, filename) {
+  await db.collection(CHUNKS_COLLECTION).deleteMany({ filename });
+}
+
+/**
+ * Recherche exacte des topK chunks les plus proches (similarité cosinus),
+ * parmi ceux qui correspondent au filtre. Les vecteurs sont parcourus en
+ * flux : seuls les topK meilleurs sont gardés en mémoire.
+ */
+export async function searchChunks(db, queryEmbedding, { topK, filter = {} }) {
+  const cursor = db
+    .collection(CHUNKS_COLLECTION)
+    .find(filter, { projection: { _id: 0 } });
+
+  const best = [];
+  for await (const chunk of cursor) {
+    const score = cosineSimilarity(queryEmbedding, chunk.embedding);
+    if (best.length === topK && score <= best[best.length - 1].score) continue;
+
+    const { embedding, ...rest } = chunk;
+    const position = best.findIndex((c) => c.score < score);
+    best.splice(position === -1 ? best.length : position, 0, { ...rest, score });
+    if (best.length > topK) best.pop();
+  }
+
+  return best;
+}
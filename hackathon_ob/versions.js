@@ -0,0 +1,118 @@
+// Manipulation des versions logicielles VeloCloud
+// Depuis la 5.0.0, un quatrième chiffre identifie le build de rollup
+// (ex. 5.2.3.1 = rollup 1 de la 5.2.3).
+
+/**
+ * Découpe une version ("5.2.3.1", "6.4") en composantes numériques.
+ * Retourne null si la chaîne n'est pas une version.
+ */
+export function parseVersion(version) {
+  if (typeof version !== "string") return null;
+
+  const match = version.trim().match(/^v?(\d+(?:\.\d+){0,3})$/i);
+  if (!match) return null;
+
+  const parts = match[1].split(".").map((n) => parseInt(n, 10));
+  const [major, minor = 0, patch = 0, rollup = 0] = parts;
+
+  return { major, minor, patch, rollup, parts };
+}
+
+/**
+ * Compare deux versions composante par composante (les composantes absentes
+ * valent 0). Retourne un nombre négatif, nul ou positif.
+ */
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) {
+    throw new Error(`Version invalide: ${!va ? a : b}`);
+  }
+
+  const length = Math.max(va.parts.length, vb.parts.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (va.parts[i] ?? 0) - (vb.parts[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Découpe un motif de version ("5.2.x", "6.1", "6.1.0") en composantes : les
+ * ".x" finaux sont ignorés. Retourne null si le motif est invalide.
+ */
+export function parseVersionPattern(pattern) {
+  if (typeof pattern !== "string") return null;
+  return parseVersion(pattern.trim().replace(/(\.x)+$/i, ""));
+}
+
+/**
+ * Indique si une version correspond à un motif : "5.2.x" couvre toutes les
+ * 5.2.*, "6.1.0" couvre la 6.1.0 et ses rollups (6.1.0.2...).
+ */
+export function matchesVersionPattern(version, pattern) {
+  const v = parseVersion(version);
+  const prefix = parseVersionPattern(pattern);
+  if (!v || !prefix) return false;
+
+  return prefix.parts.every((part, i) => part === (v.parts[i] ?? 0));
+}
+
+/**
+ * Découpe une plage "5.2.x to 6.1.0" en { from, to }.
+ */
+export function parseVersionRange(versionRange) {
+  const [from, to] = (versionRange || "").split(/\s+to\s+/i);
+  if (!from || !to || !parseVersionPattern(from) || !parseVersion(to)) return null;
+  return { from: from.trim(), to: to.trim() };
+}
+
+/**
+ * Compare deux plages par version de départ puis d'arrivée ("5.2.x to 6.1.0"
+ * avant "5.10.x to 6.1.0"). Les plages illisibles sont placées à la fin.
+ */
+export function compareVersionRanges(a, b) {
+  const ra = parseVersionRange(a);
+  const rb = parseVersionRange(b);
+  if (!ra || !rb) return (ra ? 0 : 1) - (rb ? 0 : 1);
+
+  const from = parseVersionPattern(ra.from).parts.join(".");
+  return (
+    compareVersions(from, parseVersionPattern(rb.from).parts.join(".")) ||
+    compareVersions(ra.to, rb.to)
+  );
+}
+
+/**
+ * Train logiciel d'une version : "majeur.mineur" (ex. 6.1 pour 6.1.3.2).
+ */
+export function getTrain(version) {
+  const v = parseVersion(version);
+  return v ? `${v.major}.${v.minor}` : null;
+}
+
+/**
+ * Motif d'expression régulière (MongoDB $regex) d'une version et de ses
+ * sous-versions : "6.4" couvre 6.4, 6.4.0 et 6.4.1, pas 6.40.
+ */
+export function versionPrefixPattern(version) {
+  const escaped = version.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return `^${escaped}(\\.|$)`;
+}
+
+/**
+ * Indique si une version satisfait des critères :
+ *   versionBelow   : strictement inférieure
+ *   versionAtLeast : supérieure ou égale
+ *   train          : motif couvrant la version ("5.2", "5.2.x")
+ * Une version illisible ne satisfait aucun critère.
+ */
+export function matchesVersionFilter(version, { versionBelow, versionAtLeast, train } = {}) {
+  if (!versionBelow && !versionAtLeast && !train) return true;
+  if (!parseVersion(version)) return false;
+
+  if (versionBelow && compareVersions(version, versionBelow) >= 0) return false;
+  if (versionAtLeast && compareVersions(version, versionAtLeast) < 0) return false;
+  if (train && !matchesVersionPattern(version, train)) return false;
+  return true;
+}